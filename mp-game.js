@@ -1,6 +1,13 @@
 // Multiplayer-only game page logic for Wheel Horse Spin
-// Parameters: ?room=ROOM&name=USERNAME
-// Defaults: room=dev, name=Browser
+// Parameters: ?room=ROOM&name=USERNAME[&spectate=1][&code=JOIN_CODE][&private=1]
+// Defaults: room=dev, name=Browser (Spectator when spectating)
+// Spectate: ?spectate=1 joins without a lane (watch only; no ready/boost)
+// Replay: ?replay=RACE_ID plays back a recorded race (no connection needed)
+// Private rooms: ?private=1 creates the room as private (server generates a code, or ?code= sets a password);
+//   joining a private room needs ?code=JOIN_CODE
+// Chat: sidebar chat for players and spectators; emotes float over the sender's avatar (keys 1-8 in a race)
+// Identity: a random player uid is kept in localStorage and sent in hello, so leaderboards follow renames
+// Reconnect: the welcome resumeToken is kept in sessionStorage; dropped connections retry and resume the slot
 // Lobby lists only real players (bots hidden). Host is first arrival; can start with 1 player.
 
 const MP = {
@@ -10,11 +17,31 @@ const MP = {
   hostId: null,
   phase: 'lobby', // lobby|countdown|race|results
   players: [],
+  spectators: [], // {id, username}
   bots: [],
   countdownEndsAt: null,
+  series: null, // { totalRaces, racesCompleted, finished, standings[], tollPayer } while the room runs a series
+  constants: null, // per-room rules from roomState (host may change them in the lobby via configureRoom)
   room: null,
   username: null,
+  spectator: false, // watch-only role (requested via ?spectate=1 or assigned when the room is full or racing)
+  spectateRequested: false, // ?spectate=1; otherwise a server-assigned spectator rejoins as a player
+  raceId: null, // last race started in this room (used for replay)
+  resumeToken: null, // from welcome; presented in hello to resume after a disconnect
+  playerUid: null, // persistent identity (localStorage); server groups leaderboard history by it
+  createPrivate: false, // ask the server to create the room as private (only applies if the room is new)
+  joinCode: null, // private room code/password (from ?code= or the welcome of a private room)
+  reconnectAttempts: 0,
+  compactTicks: true, // ask for binary delta ticks (binaryTicks); ?ticks=json turns it off
+  tickDecoder: null, // binaryTicks state for the current socket (see decodeCompactTick)
 };
+// WebSocket protocol version this client speaks (server negotiates and shims older ones)
+const PROTOCOL_VERSION = 2;
+// Protocol features this client understands (hello.features); binaryTicks is added when MP.compactTicks
+const CLIENT_FEATURES = ['spectate', 'resume', 'roomRules', 'laps', 'checkpointSplits', 'botProfiles', 'series', 'replays', 'privateRooms', 'moderation', 'chat', 'emotes', 'playerIdentity', 'clockSync'];
+// Auto-reconnect cadence; total stays inside the server's default RESUME_GRACE_MS (30s)
+const RECONNECT_DELAY_MS = 2000;
+const RECONNECT_MAX_ATTEMPTS = 12;
 
 const synthwave = {
   context: null,
@@ -44,9 +71,11 @@ const synthwave = {
 };
 
 // DOM references
-let displayServer, displayRoom, connectBtn, readyBtn, startBtn, resetBtn,
-    toggleMusicBtn, playerListUL, statusDiv, countdownHeader, renameWrap, renameInput, renameBtn,
-    raceOverlay, lobbySection, resultsWrap, finalList;
+let displayServer, displayRoom, connectBtn, readyBtn, startBtn, resetBtn, botMixWrap, botMixSelect, seriesSelect, excludeFlaggedToggle,
+    seriesWrap, seriesTitle, seriesListOL, seriesTollPayer, chatWrap, chatLog, chatForm, chatInput, emoteBar,
+    toggleMusicBtn, playerListUL, spectatorListUL, spectatorsWrap, statusDiv, countdownHeader, renameWrap, renameInput, renameBtn,
+    raceOverlay, lobbySection, resultsWrap, finalList,
+    replayBtn, replayControls, replayScrub, replayPlayBtn, replayExitBtn, replayTimeLabel;
 // Config captured from URL or defaults
 // Derive server URL: same-origin WebSocket by default (works locally and on Render)
 const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
@@ -62,8 +91,23 @@ window.addEventListener('DOMContentLoaded', () => {
   readyBtn = document.getElementById('readyBtn');
   startBtn = document.getElementById('startBtn');
   resetBtn = document.getElementById('resetBtn');
+  botMixWrap = document.getElementById('botMixWrap');
+  botMixSelect = document.getElementById('botMixSelect');
+  seriesSelect = document.getElementById('seriesSelect');
+  excludeFlaggedToggle = document.getElementById('excludeFlaggedToggle');
+  seriesWrap = document.getElementById('seriesWrap');
+  seriesTitle = document.getElementById('seriesTitle');
+  seriesListOL = document.getElementById('series-list');
+  seriesTollPayer = document.getElementById('seriesTollPayer');
+  chatWrap = document.getElementById('chatWrap');
+  chatLog = document.getElementById('chatLog');
+  chatForm = document.getElementById('chatForm');
+  chatInput = document.getElementById('chatInput');
+  emoteBar = document.getElementById('emoteBar');
   toggleMusicBtn = document.getElementById('toggleMusic');
   playerListUL = document.getElementById('player-list');
+  spectatorListUL = document.getElementById('spectator-list');
+  spectatorsWrap = document.getElementById('spectatorsWrap');
   statusDiv = document.getElementById('status');
   countdownHeader = document.getElementById('countdownHeader');
   renameWrap = document.getElementById('renameWrap');
@@ -72,14 +116,29 @@ window.addEventListener('DOMContentLoaded', () => {
   raceOverlay = document.getElementById('raceOverlay');
   resultsWrap = document.getElementById('resultsWrap');
   finalList = document.getElementById('final-list');
+  replayBtn = document.getElementById('replayBtn');
+  replayControls = document.getElementById('replayControls');
+  replayScrub = document.getElementById('replayScrub');
+  replayPlayBtn = document.getElementById('replayPlayBtn');
+  replayExitBtn = document.getElementById('replayExitBtn');
+  replayTimeLabel = document.getElementById('replayTimeLabel');
 
   // URL parameters
   const params = new URLSearchParams(window.location.search);
   const roomParam = params.get('room');
   const nameParam = params.get('name');
   const serverParam = params.get('server');
+  const replayParam = params.get('replay');
+  const spectateParam = String(params.get('spectate') || '').toLowerCase();
+  MP.spectateRequested = spectateParam === '1' || spectateParam === 'true';
+  MP.spectator = MP.spectateRequested;
+  const privateParam = String(params.get('private') || '').toLowerCase();
+  MP.createPrivate = privateParam === '1' || privateParam === 'true';
+  const codeParam = params.get('code');
+  MP.joinCode = (codeParam && codeParam.trim()) || null;
+  MP.compactTicks = String(params.get('ticks') || '').toLowerCase() !== 'json';
   MP.room = (roomParam && roomParam.trim()) || 'dev';
-  MP.username = (nameParam && nameParam.trim()) || 'Browser';
+  MP.username = (nameParam && nameParam.trim()) || (MP.spectator ? 'Spectator' : 'Browser');
   // Allow server override via query param
   MP.serverUrl = (serverParam && serverParam.trim()) || MP.serverUrl;
   // If server param provided, prefer it
@@ -92,20 +151,42 @@ window.addEventListener('DOMContentLoaded', () => {
     }
   } catch {}
   if (displayServer) displayServer.textContent = `Server: ${MP.serverUrl}`;
-  if (displayRoom) displayRoom.textContent = `Room: ${MP.room}`;
+  if (displayRoom) displayRoom.textContent = `Room: ${MP.room}${MP.spectator ? ' (spectating)' : ''}`;
+  try { MP.resumeToken = sessionStorage.getItem(resumeStorageKey()) || null; } catch {}
+  MP.playerUid = loadPlayerUid();
 
   if (connectBtn) connectBtn.addEventListener('click', connectMP);
   readyBtn.addEventListener('click', toggleReady);
   startBtn.addEventListener('click', startGame); // host only
   resetBtn.addEventListener('click', resetGame); // host only
+  if (botMixSelect) botMixSelect.addEventListener('change', setBotMix); // host only
+  if (seriesSelect) seriesSelect.addEventListener('change', setSeriesLength); // host only
+  if (excludeFlaggedToggle) excludeFlaggedToggle.addEventListener('change', setExcludeFlagged); // host only
   renameBtn.addEventListener('click', doRename);
+  if (chatForm) chatForm.addEventListener('submit', sendChat);
+  if (emoteBar) {
+    EMOTES.forEach(([name, symbol]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = symbol;
+      btn.title = name;
+      btn.addEventListener('click', () => sendEmote(name));
+      emoteBar.appendChild(btn);
+    });
+  }
+  if (replayBtn) replayBtn.addEventListener('click', () => { if (MP.raceId) loadReplay(MP.raceId); });
+  if (replayPlayBtn) replayPlayBtn.addEventListener('click', toggleReplayPlayback);
+  if (replayExitBtn) replayExitBtn.addEventListener('click', stopReplay);
+  if (replayScrub) replayScrub.addEventListener('input', () => seekReplay(Number(replayScrub.value)));
+  // Replay requested via URL: loaded once p5 setup has run (needs loadImage)
+  if (replayParam && replayParam.trim()) replayState.pendingRaceId = replayParam.trim();
   if (toggleMusicBtn) {
     toggleMusicBtn.addEventListener('click', toggleSynthwave);
     updateToggleMusicButton();
   }
 
-  // Auto-connect if both room and name provided in URL
-  if (roomParam && nameParam) {
+  // Auto-connect if both room and name provided in URL (spectators only need the room)
+  if (roomParam && (nameParam || MP.spectator)) {
     connectMP();
   }
 
@@ -126,93 +207,245 @@ window.addEventListener('DOMContentLoaded', () => {
   window.addEventListener('keyup', onKeyUp);
 });
 
+// Binary tick frame (binaryTicks) -> the same object as a JSON tick. Layout documented at the
+// server's "Compact Tick Encoding"; keyframes replace the lane-keyed state, deltas patch it.
+function decodeCompactTick(view, state) {
+  let o = 0;
+  const kind = view.getUint8(o); o += 1;
+  const flags = view.getUint8(o); o += 1;
+  const msg = { type: 'tick', tServerMs: view.getFloat64(o, true) }; o += 8;
+  if (flags & 4) {
+    state.boostKey = String.fromCharCode(view.getUint8(o)); o += 1;
+    const next = view.getFloat64(o, true); o += 8;
+    state.nextBoostKeyAt = Number.isNaN(next) ? null : next;
+  }
+  if (flags & 1) {
+    msg.boostKey = state.boostKey;
+    msg.nextBoostKeyAt = state.nextBoostKeyAt;
+  }
+  if (flags & 2) {
+    if (kind === 1) state.entries = new Map();
+    const count = view.getUint8(o); o += 1;
+    for (let i = 0; i < count; i++) {
+      const lane = view.getUint8(o);
+      const mask = view.getUint8(o + 1); o += 2;
+      let entry = state.entries.get(lane);
+      if (!entry) { entry = { lane, id: null, bot: false, progress: 0, currentSpeed: 0, lap: 1, finished: false }; state.entries.set(lane, entry); }
+      entry.bot = !!(mask & 32);
+      if (mask & 64) { entry.id = view.getUint32(o, true); o += 4; }
+      if (mask & 1) { entry.progress = view.getUint32(o, true) / 1e6; o += 4; }
+      if (mask & 2) { entry.currentSpeed = view.getUint16(o, true) / 1e4; o += 2; }
+      if (mask & 4) { entry.lap = view.getUint8(o); o += 1; }
+      if (mask & 8) entry.finished = !!(mask & 16);
+    }
+    const all = Array.from(state.entries.values());
+    msg.players = all.filter(e => !e.bot).map(e => ({ id: e.id, lane: e.lane, progress: e.progress, lap: e.lap, finished: e.finished, currentSpeed: e.currentSpeed }));
+    msg.bots = all.filter(e => e.bot).map(e => ({ lane: e.lane, progress: e.progress, lap: e.lap, finished: e.finished, currentSpeed: e.currentSpeed }));
+  }
+  return msg;
+}
+
 function connectMP() {
   if (MP.connected) return;
   // Username already taken from URL param or kept after rename
   MP.ws = new WebSocket(MP.serverUrl);
+  MP.ws.binaryType = 'arraybuffer';
+  MP.tickDecoder = { entries: new Map(), boostKey: null, nextBoostKeyAt: null };
+  raceInterp.clockOffsetMs = null;
   statusDiv.textContent = 'Connecting...';
   MP.ws.onopen = () => {
-    MP.ws.send(JSON.stringify({ type: 'hello', roomId: MP.room, username: MP.username, version: 1 }));
+    const hello = { type: 'hello', roomId: MP.room, username: MP.username, version: PROTOCOL_VERSION, features: MP.compactTicks ? [...CLIENT_FEATURES, 'binaryTicks'] : CLIENT_FEATURES };
+    if (MP.spectateRequested) hello.spectate = true;
+    else if (MP.resumeToken) hello.resumeToken = MP.resumeToken;
+    if (MP.createPrivate) hello.private = true;
+    if (MP.joinCode) hello.joinCode = MP.joinCode;
+    if (MP.playerUid) hello.playerUid = MP.playerUid;
+    MP.ws.send(JSON.stringify(hello));
     MP.connected = true;
     statusDiv.textContent = 'Connected. Waiting for welcome...';
   };
   MP.ws.onmessage = (ev) => {
-    let msg; try { msg = JSON.parse(ev.data); } catch { return; }
+    let msg;
+    if (typeof ev.data !== 'string') msg = decodeCompactTick(new DataView(ev.data), MP.tickDecoder);
+    else { try { msg = JSON.parse(ev.data); } catch { return; } }
     handleMessage(msg);
   };
-  MP.ws.onclose = () => {
-    statusDiv.textContent = 'Disconnected.';
+  MP.ws.onclose = (ev) => {
     MP.connected = false;
+    // 4003: join rejected, 4004: kicked/banned by the host; keep their status and don't retry
+    if (ev && (ev.code === 4003 || ev.code === 4004)) return;
+    statusDiv.textContent = 'Disconnected.';
     MP.phase = 'lobby';
-    countdownBoostPrimed = false;
-    boostKeyInitialized = false;
     scheduleNextBoostKeyRotation(Number.POSITIVE_INFINITY);
     localPlayerFinished = false;
+    // 4001: another tab resumed this session, so don't fight it for the slot
+    const supersededElsewhere = ev && ev.code === 4001;
+    if ((MP.resumeToken || MP.spectator) && !supersededElsewhere && MP.reconnectAttempts < RECONNECT_MAX_ATTEMPTS) {
+      MP.reconnectAttempts++;
+      statusDiv.textContent = `Connection lost. Reconnecting (${MP.reconnectAttempts}/${RECONNECT_MAX_ATTEMPTS})…`;
+      setTimeout(connectMP, RECONNECT_DELAY_MS);
+    }
   };
   MP.ws.onerror = () => { statusDiv.textContent = 'Connection error.'; };
 }
 
+function resumeStorageKey() { return `whs:resume:${MP.room}`; }
+
+// Persistent player identity: generated once per browser (server accepts 8-64 chars of [A-Za-z0-9_-])
+function loadPlayerUid() {
+  const key = 'whs:playerUid';
+  try {
+    let uid = localStorage.getItem(key);
+    if (!uid || !/^[A-Za-z0-9_-]{8,64}$/.test(uid)) {
+      uid = (window.crypto && window.crypto.randomUUID) ? window.crypto.randomUUID()
+        : Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+      localStorage.setItem(key, uid);
+    }
+    return uid;
+  } catch {
+    return null; // storage blocked: play without a persistent identity
+  }
+}
+
 function handleMessage(msg) {
   switch (msg.type) {
     case 'welcome':
-      MP.clientId = msg.clientId; MP.hostId = msg.hostId; statusDiv.textContent = `Joined room ${msg.roomId}`;
+      if (chatWrap) chatWrap.style.display = 'block';
+      if (emoteBar) emoteBar.style.display = msg.spectator ? 'none' : 'flex';
+      MP.clientId = msg.clientId; MP.hostId = msg.hostId; statusDiv.textContent = msg.resumed ? `Reconnected to room ${msg.roomId}` : `Joined room ${msg.roomId}`;
+      MP.reconnectAttempts = 0;
+      if (msg.private) {
+        MP.joinCode = msg.joinCode || MP.joinCode;
+        if (displayRoom) displayRoom.textContent = `Room: ${msg.roomId} (private, code ${MP.joinCode})${msg.spectator ? ' (spectating)' : ''}`;
+      }
+      if (msg.spectator) {
+        // Server may also seat us as a spectator because the room is full or a race is running
+        MP.spectator = true;
+        statusDiv.textContent = msg.reason === 'roomFull' ? `Room ${msg.roomId} is full — spectating`
+          : msg.reason === 'raceInProgress' ? `Race in progress in room ${msg.roomId} — spectating` : `Spectating room ${msg.roomId}`;
+        if (displayRoom && !msg.private) displayRoom.textContent = `Room: ${msg.roomId} (spectating)`;
+        updateButtons();
+        break;
+      }
+      // A lane opened in the lobby (promoted) or a reconnect got one: play from here on
+      MP.spectator = false;
+      if (msg.promoted) {
+        statusDiv.textContent = `A lane opened in room ${msg.roomId} — you're in`;
+        if (displayRoom && !msg.private) displayRoom.textContent = `Room: ${msg.roomId}`;
+      }
+      if (msg.resumeToken) {
+        MP.resumeToken = msg.resumeToken;
+        try { sessionStorage.setItem(resumeStorageKey(), msg.resumeToken); } catch {}
+      }
       readyBtn.disabled = false; renameWrap.style.display = 'flex';
       updateButtons();
       break;
     case 'roomState':
       MP.phase = msg.phase;
       MP.hostId = msg.hostId;
-      MP.players = (msg.players || []).map(p => ({ id: p.id, username: p.username, ready: p.ready, lane: p.lane }));
-      MP.bots = (msg.bots || []).map(b => ({ lane: b.lane, username: b.username }));
+      MP.players = (msg.players || []).map(p => ({ id: p.id, username: p.username, ready: p.ready, lane: p.lane, connected: p.connected !== false, flagReasons: p.flagged ? (p.flagReasons || []) : null, rttMs: p.rttMs ?? null }));
+      MP.spectators = (msg.spectators || []).map(s => ({ id: s.id, username: s.username, rttMs: s.rttMs ?? null }));
+      MP.bots = (msg.bots || []).map(b => ({ lane: b.lane, username: b.username, profile: b.profile || null }));
+      if (msg.constants) MP.constants = msg.constants;
+      MP.series = msg.series || null;
       renderPlayers();
+      renderSeries();
       updateButtons();
-      buildTrackObjectsFromPlayers();
+      if (!replayState.active) buildTrackObjectsFromPlayers();
       countdownHeader.style.display = 'none';
       if (MP.phase === 'lobby') {
         raceOverlay.style.display = 'none';
         if (lobbySection) lobbySection.style.display = 'block';
         if (resultsWrap) resultsWrap.style.display = 'none';
-        countdownBoostPrimed = false;
         scheduleNextBoostKeyRotation(Number.POSITIVE_INFINITY);
         localPlayerFinished = false;
       }
       // Refresh leaderboards once we have room state (ensures MP.room is set and connection established)
       try { if (typeof window.refreshLeaderboards === 'function') window.refreshLeaderboards(); } catch {}
       break;
+    case 'seriesEnd':
+      MP.series = msg.series || MP.series;
+      renderSeries();
+      break;
+    case 'joinRejected':
+      statusDiv.textContent = msg.reason === 'joinCodeRequired' ? `Room ${msg.roomId} is private — add ?code=JOIN_CODE to join`
+        : msg.reason === 'badJoinCode' ? `Wrong join code for room ${msg.roomId}`
+        : msg.reason === 'banned' ? `You are banned from room ${msg.roomId}`
+        : msg.reason === 'unsupportedVersion' || msg.reason === 'badVersion' ? (msg.message || 'Incompatible client version — reload the page')
+        : `Cannot join room ${msg.roomId} (${msg.reason})`;
+      break;
+    case 'kicked':
+      // Removed by the host: the slot is gone, so drop the resume token too
+      MP.resumeToken = null;
+      try { sessionStorage.removeItem(resumeStorageKey()); } catch {}
+      statusDiv.textContent = `${msg.banned ? 'Banned' : 'Kicked'} from room ${msg.roomId} by the host${msg.reason ? `: ${msg.reason}` : ''}`;
+      break;
+    case 'chat':
+      appendChatLine(msg.username, msg.text, msg.spectator);
+      break;
+    case 'emote':
+      showEmote(msg);
+      break;
+    case 'chatRejected':
+      if (msg.reason === 'rateLimited') appendChatLine(null, `Slow down — try again in ${Math.ceil((msg.retryAfterMs || 0) / 1000)}s`);
+      else if (msg.reason === 'tooLong') appendChatLine(null, `Message too long (max ${msg.maxLength} characters)`);
+      break;
+    case 'hostAction':
+      if (!msg.accepted) console.warn('[mp] host action rejected', msg.action, msg.reason);
+      break;
+    case 'ping':
+      // Clock sync: answer immediately; the server derives our RTT and clock offset
+      if (MP.ws && MP.ws.readyState === 1) MP.ws.send(JSON.stringify({ type: 'pong', serverMs: msg.serverMs, clientMs: Date.now() }));
+      break;
+    case 'latency': {
+      const rtts = new Map([...(msg.players || []), ...(msg.spectators || [])].map(e => [e.id, e.rttMs]));
+      MP.players.forEach(p => { if (rtts.has(p.id)) p.rttMs = rtts.get(p.id); });
+      MP.spectators.forEach(s => { if (rtts.has(s.id)) s.rttMs = rtts.get(s.id); });
+      renderPlayers();
+      break;
+    }
+    case 'error':
+      // Schema violations and misuse (see README "Errors"); indicates a client bug, not a game event
+      console.warn('[mp] server error', msg.code, msg.messageType, msg.details || {});
+      break;
+    case 'roomConfig':
+      if (!msg.accepted) console.warn('[mp] room rules rejected', msg.reason, msg.errors || []);
+      break;
     case 'countdown':
+      stopReplay();
       MP.phase = 'countdown';
       MP.countdownEndsAt = msg.countdownEndsAt;
       countdownHeader.style.display = 'block';
       if (lobbySection) lobbySection.style.display = 'block';
-      if (!countdownBoostPrimed) {
-        primeBoostKeyForCountdown();
-      } else {
-        scheduleNextBoostKeyRotation(Number.POSITIVE_INFINITY);
-      }
+      applyServerBoostKey(msg.boostKey, null, null);
       localPlayerFinished = false;
       countdownHeader.textContent = `Countdown: -- (Boost key: ${displayBoostKey(currentBoostKey)})`;
       break;
     case 'raceStart':
+      stopReplay();
+      MP.raceId = msg.raceId || null;
+      if (msg.constants) MP.constants = msg.constants;
       MP.phase = 'race'; countdownHeader.style.display = 'none'; raceOverlay.style.display = 'none';
       buildTrackObjectsFromPlayers(); // ensure roster locked for race
       if (lobbySection) lobbySection.style.display = 'none';
-      initDynamicBoost();
+      applyServerBoostKey(msg.boostKey, msg.nextBoostKeyAt, msg.raceStartEpochMs);
       localPlayerFinished = false;
+      raceInterp.snapshots = [];
       break;
     case 'tick':
+      observeServerClock(msg.tServerMs);
+      if (msg.boostKey) applyServerBoostKey(msg.boostKey, msg.nextBoostKeyAt, msg.tServerMs);
       if (MP.phase === 'countdown' && MP.countdownEndsAt) {
         const remaining = Math.max(0, Math.round((MP.countdownEndsAt - Date.now()) / 1000));
         countdownHeader.textContent = `Countdown: ${remaining}s (Boost key: ${displayBoostKey(currentBoostKey)})`;
       }
-      if (MP.phase === 'race') {
-        if (msg.players) syncRaceProgress(msg.players);
-        if (msg.bots) syncBotProgress(msg.bots);
-      }
+      if (MP.phase === 'race') bufferRaceTick(msg);
       break;
     case 'raceEnd':
+      // Settle avatars on the final server snapshot instead of freezing INTERP_DELAY_MS behind it
+      if (raceInterp.snapshots.length) applyRaceInterpolation(raceInterp.snapshots[raceInterp.snapshots.length - 1].t);
       MP.phase = 'results'; raceOverlay.style.display = 'flex';
       scheduleNextBoostKeyRotation(Number.POSITIVE_INFINITY);
-      countdownBoostPrimed = false;
       // Reset all players to unready on client side
       MP.players.forEach(p => { p.ready = false; });
       // Populate Final Leaderboard in sidebar
@@ -220,6 +453,7 @@ function handleMessage(msg) {
         resultsWrap.style.display = 'block';
         finalList.innerHTML = '';
         const items = (msg.results && msg.results.results) ? msg.results.results.slice() : [];
+        const laps = (msg.results && msg.results.laps) || 1;
         items.sort((a,b)=>a.finishSeconds - b.finishSeconds);
         const winnerTime = items.length ? items[0].finishSeconds : null;
         items.forEach((r, idx) => {
@@ -227,14 +461,18 @@ function handleMessage(msg) {
           const delta = (winnerTime != null && r.finishSeconds != null) ? (r.finishSeconds - winnerTime) : null;
           const deltaStr = delta == null ? '' : (delta === 0 ? ' +0.00s' : ` +${delta.toFixed(2)}s`);
           const timeStr = r.finishSeconds != null ? `${r.finishSeconds.toFixed(2)}s` : '';
-          const botTag = r.isBot ? ' [Bot]' : '';
-          const name = (r.username || (r.isBot ? `Bot_${(r.lane ?? 0)+1}` : `#${r.id}`)) + botTag;
+          const botTag = r.isBot ? (r.profile ? ` [Bot · ${r.profile}]` : ' [Bot]') : '';
+          const flagTag = r.flagged ? ' [⚠ flagged]' : '';
+          const name = (r.username || (r.isBot ? `Bot_${(r.lane ?? 0)+1}` : `#${r.id}`)) + botTag + flagTag;
           // Top 3 markers
           const podium = idx === 0 ? '🏆' : idx === 1 ? '🥈' : idx === 2 ? '🥉' : '•';
-          li.textContent = `${podium} ${idx+1}. ${name} — ${timeStr}${deltaStr}`;
+          const splits = Array.isArray(r.lapSplits) ? r.lapSplits : [];
+          const lapsStr = laps > 1 ? ` · Lap ${splits.length}/${laps}: ${splits.map(sp => `${Number(sp.lapSeconds).toFixed(2)}s`).join(', ')}` : '';
+          li.textContent = `${podium} ${idx+1}. ${name} — ${timeStr}${deltaStr}${lapsStr}`;
           finalList.appendChild(li);
         });
       }
+      if (replayBtn) replayBtn.style.display = MP.raceId ? 'block' : 'none';
       if (lobbySection) lobbySection.style.display = 'block';
       // Update UI to reflect unready state
       renderPlayers();
@@ -257,7 +495,11 @@ function handleMessage(msg) {
         showBoostNotice('Speed Up!');
       } else if (msg.down && msg.accepted === false) {
         const remain = typeof msg.cooldownMsRemaining === 'number' ? Math.max(0, Math.round(msg.cooldownMsRemaining/100)/10) : null;
-        showBoostNotice(remain != null ? `Cooldown ${remain}s…` : 'Cooldown…');
+        if (msg.reason === 'wrongKey' || msg.reason === 'missingKey') {
+          showBoostNotice(`Wrong key! Press ${displayBoostKey(msg.boostKey || currentBoostKey)}`);
+        } else {
+          showBoostNotice(remain != null ? `Cooldown ${remain}s…` : 'Cooldown…');
+        }
       }
       break;
   }
@@ -275,11 +517,30 @@ function updateButtons() {
   startBtn.disabled = !(isHost && MP.phase === 'lobby' && allReady);
 
   resetBtn.style.display = isHost && MP.phase === 'results' ? 'block' : 'none';
+
+  if (botMixWrap) botMixWrap.style.display = isHost && MP.phase === 'lobby' ? 'block' : 'none';
+  if (botMixSelect && MP.constants && Array.isArray(MP.constants.BOT_PROFILE_MIX)) {
+    const current = MP.constants.BOT_PROFILE_MIX.join(',');
+    if (Array.from(botMixSelect.options).some(o => o.value === current)) botMixSelect.value = current;
+  }
+  if (seriesSelect && MP.constants && MP.constants.SERIES_RACES != null) {
+    const current = String(MP.constants.SERIES_RACES);
+    if (Array.from(seriesSelect.options).some(o => o.value === current)) seriesSelect.value = current;
+  }
+  if (excludeFlaggedToggle && MP.constants) excludeFlaggedToggle.checked = !!MP.constants.EXCLUDE_FLAGGED;
   resetBtn.disabled = !(isHost && MP.phase === 'results');
 
   // Disable ready button when game is in results phase (only host can reset)
   readyBtn.disabled = MP.phase === 'results';
 
+  // Spectators only watch: no ready/rename controls
+  readyBtn.style.display = MP.spectator ? 'none' : '';
+  if (MP.spectator) {
+    readyBtn.classList.remove('ready-active');
+    if (renameWrap) renameWrap.style.display = 'none';
+    return;
+  }
+
   if (me) {
     readyBtn.textContent = me.ready ? 'Unready' : 'Ready to Start';
     // Disable rename while marked ready
@@ -311,10 +572,144 @@ function renderPlayers() {
     const hostMark = p.id === MP.hostId ? ' (host)' : '';
     const readyMark = p.ready ? ' [ready 🟢]' : ' [not ready 🔴]';
     const youMark = p.id === MP.clientId ? ' (You)' : '';
-    li.textContent = `#${p.id} ${p.username}${youMark}${hostMark}${readyMark}`;
+    const offlineMark = p.connected === false ? ' [reconnecting…]' : '';
+    const flagMark = p.flagReasons ? ' [⚠ flagged]' : '';
+    const rttMark = p.rttMs != null && p.connected !== false ? ` · ${p.rttMs}ms` : '';
+    li.textContent = `#${p.id} ${p.username}${youMark}${hostMark}${readyMark}${offlineMark}${flagMark}${rttMark}`;
+    if (p.flagReasons) li.title = `Last race input looked automated: ${p.flagReasons.join(', ')}`;
+    appendHostControls(li, p, p.connected !== false);
     playerListUL.appendChild(li);
   });
-  statusDiv.textContent = `Players: ${MP.players.length}`;
+  if (spectatorListUL) {
+    spectatorListUL.innerHTML = '';
+    MP.spectators.forEach(s => {
+      const li = document.createElement('li');
+      const youMark = s.id === MP.clientId ? ' (You)' : '';
+      li.textContent = `👀 ${s.username}${youMark}${s.rttMs != null ? ` · ${s.rttMs}ms` : ''}`;
+      appendHostControls(li, s, false);
+      spectatorListUL.appendChild(li);
+    });
+  }
+  if (spectatorsWrap) spectatorsWrap.style.display = MP.spectators.length ? 'block' : 'none';
+  statusDiv.textContent = MP.spectators.length
+    ? `Players: ${MP.players.length} · Spectators: ${MP.spectators.length}`
+    : `Players: ${MP.players.length}`;
+}
+
+// Host-only moderation buttons next to another player/spectator (transfer only to connected players)
+function appendHostControls(li, entry, canTransfer) {
+  if (MP.clientId !== MP.hostId || entry.id === MP.clientId || !MP.ws) return;
+  const addButton = (label, onClick) => {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.style.cssText = 'font-size:11px; padding:1px 6px; margin-left:6px;';
+    btn.addEventListener('click', onClick);
+    li.appendChild(btn);
+  };
+  if (canTransfer) addButton('Make host', () => sendHostAction('transferHost', entry));
+  addButton('Kick', () => sendHostAction('kickPlayer', entry));
+  addButton('Ban', () => sendHostAction('banPlayer', entry));
+}
+
+function sendHostAction(type, entry) {
+  if (!MP.ws || MP.clientId !== MP.hostId) return;
+  const msg = { type, playerId: entry.id };
+  if (type !== 'transferHost') {
+    const reason = window.prompt(`${type === 'banPlayer' ? 'Ban' : 'Kick'} ${entry.username}? Optional reason:`, '');
+    if (reason === null) return; // cancelled
+    if (reason.trim()) msg.reason = reason.trim();
+  }
+  MP.ws.send(JSON.stringify(msg));
+}
+
+// --- Chat & Emotes ---
+// [name, symbol] pairs; names must match the server's EMOTES
+const EMOTES = [['thumbsUp', '👍'], ['laugh', '😂'], ['fire', '🔥'], ['scream', '😱'], ['snail', '🐌'], ['wave', '👋'], ['coffee', '☕'], ['trophy', '🏆']];
+const CHAT_LOG_MAX_LINES = 100;
+const EMOTE_BUBBLE_MS = 2500;
+const emoteBubbles = new Map(); // trackObject id -> { symbol, startMs }
+
+function sendChat(e) {
+  e.preventDefault();
+  const text = chatInput.value.trim();
+  if (!text || !MP.ws || MP.ws.readyState !== 1) return;
+  MP.ws.send(JSON.stringify({ type: 'chat', text }));
+  chatInput.value = '';
+}
+
+function sendEmote(name) {
+  if (!MP.ws || MP.ws.readyState !== 1 || MP.spectator) return;
+  MP.ws.send(JSON.stringify({ type: 'emote', emote: name }));
+}
+
+// Chat text is untrusted: only ever assigned via textContent. username null = local notice
+function appendChatLine(username, text, spectator) {
+  if (!chatLog) return;
+  const line = document.createElement('div');
+  if (username == null) {
+    line.style.color = '#888';
+    line.textContent = text;
+  } else {
+    const who = document.createElement('strong');
+    who.textContent = `${spectator ? '👀 ' : ''}${username}: `;
+    line.appendChild(who);
+    line.appendChild(document.createTextNode(text));
+  }
+  chatLog.appendChild(line);
+  while (chatLog.childNodes.length > CHAT_LOG_MAX_LINES) chatLog.removeChild(chatLog.firstChild);
+  chatLog.scrollTop = chatLog.scrollHeight;
+}
+
+// Races show a bubble over the avatar; outside races the emote goes to the chat log
+function showEmote(msg) {
+  if (MP.phase === 'race' && !replayState.active) {
+    emoteBubbles.set(msg.fromId, { symbol: msg.symbol, startMs: performance.now() });
+  } else {
+    appendChatLine(msg.username, msg.symbol);
+  }
+}
+
+// Floating emote bubble above an avatar: rises and fades out over EMOTE_BUBBLE_MS
+function drawEmoteBubble(obj, pos, avatarSize) {
+  const bubble = emoteBubbles.get(obj.id);
+  if (!bubble) return;
+  const t = (performance.now() - bubble.startMs) / EMOTE_BUBBLE_MS;
+  if (t >= 1) { emoteBubbles.delete(obj.id); return; }
+  const alpha = 255 * (t < 0.7 ? 1 : (1 - t) / 0.3);
+  const bx = pos.x;
+  const by = pos.y - avatarSize / 2 - 14 - t * 18;
+  push();
+  rectMode(CENTER);
+  noStroke();
+  fill(255, 255, 255, alpha * 0.9);
+  rect(bx, by, 30, 26, 8);
+  triangle(bx - 5, by + 12, bx + 5, by + 12, bx, by + 18);
+  textAlign(CENTER, CENTER);
+  textSize(16);
+  fill(0, alpha);
+  text(bubble.symbol, bx, by + 1);
+  pop();
+}
+
+// Series standings (points by human finish position) and, once finished, the toll payer
+function renderSeries() {
+  if (!seriesWrap) return;
+  const series = MP.series;
+  seriesWrap.style.display = series ? 'block' : 'none';
+  if (!series) return;
+  const current = Math.min(series.totalRaces, series.racesCompleted + (series.finished ? 0 : 1));
+  seriesTitle.textContent = series.finished
+    ? `Series complete (${series.totalRaces} races)`
+    : `Series — race ${current}/${series.totalRaces}`;
+  seriesListOL.innerHTML = '';
+  (series.standings || []).forEach(row => {
+    const li = document.createElement('li');
+    const youMark = row.id === MP.clientId ? ' (You)' : '';
+    li.textContent = `${row.username}${youMark} — ${row.points} pts (${row.wins}W / ${row.lastPlaces}L)`;
+    seriesListOL.appendChild(li);
+  });
+  seriesTollPayer.style.display = series.finished && series.tollPayer ? 'block' : 'none';
+  if (series.finished && series.tollPayer) seriesTollPayer.textContent = `☕ Toll payer: ${series.tollPayer.username}`;
 }
 
 function toggleReady() {
@@ -332,6 +727,25 @@ function startGame() {
   MP.ws.send(JSON.stringify({ type: 'startGame' }));
 }
 
+// Host picks the room's bot profile mix (configureRoom BOT_PROFILE_MIX); lobby only
+function setBotMix() {
+  if (!MP.ws || MP.clientId !== MP.hostId || MP.phase !== 'lobby') return;
+  const mix = botMixSelect.value.split(',').filter(Boolean);
+  MP.ws.send(JSON.stringify({ type: 'configureRoom', rules: { BOT_PROFILE_MIX: mix } }));
+}
+
+// Host sets races per series (configureRoom SERIES_RACES); starts a fresh series, 1 = single races
+function setSeriesLength() {
+  if (!MP.ws || MP.clientId !== MP.hostId || MP.phase !== 'lobby') return;
+  MP.ws.send(JSON.stringify({ type: 'configureRoom', rules: { SERIES_RACES: Number(seriesSelect.value) || 1 } }));
+}
+
+// Host decides whether results flagged as automated reach the leaderboards (configureRoom EXCLUDE_FLAGGED); lobby only
+function setExcludeFlagged() {
+  if (!MP.ws || MP.clientId !== MP.hostId || MP.phase !== 'lobby') return;
+  MP.ws.send(JSON.stringify({ type: 'configureRoom', rules: { EXCLUDE_FLAGGED: excludeFlaggedToggle.checked } }));
+}
+
 function resetGame() {
   if (!MP.ws) return;
   if (MP.clientId !== MP.hostId) return;
@@ -358,7 +772,9 @@ const ASPECT_H = 9;
 const LANE_WIDTH = 40; // Lane thickness in pixels
 const AVATAR_SIZE_FACTOR = 0.8; // Avatar size relative to lane width
 const FINISH_LINE_WIDTH = 100; // Finish line chessboard width
-const INTERP_ALPHA = 0.25; // Smoothing factor toward server target (0..1)
+const INTERP_DELAY_MS = 100; // Render this far behind the server clock (absorbs ~6 ticks of jitter)
+const INTERP_MAX_EXTRAPOLATION_MS = 200; // Keep moving on last known speed this long when ticks are late
+const INTERP_BUFFER_MS = 1000; // Drop buffered snapshots older than this behind the newest
 let trackObjects = []; // { id, username, lane, progress, remoteProgress, totalDistance, img }
 // DiceBear avatar style selection (random like sketch.js)
 const AVATAR_STYLES = [
@@ -367,18 +783,15 @@ const AVATAR_STYLES = [
 ];
 let avatarStyle = AVATAR_STYLES[Math.floor(Math.random() * AVATAR_STYLES.length)];
 
-// --- Dynamic Boost Key Rotation (client-side only) ---
-// Rotate every 3s among WASDQEZXC + Space. Includes countdown, sound cue, flash.
-const BOOST_KEYS = ['W','A','S','D','Q','E','Z','X','C',' '];
-const BOOST_KEY_INTERVAL_MS = 3000;
+// --- Dynamic Boost Key Rotation (server-authoritative) ---
+// The server picks the key (WASDQEZXC + Space) and its next change time; `countdown`,
+// `raceStart` and `tick` carry boostKey/nextBoostKeyAt. The client shows it with a sound cue + flash.
 let currentBoostKey = 'E';
-let nextKeyChangeAt = 0; // performance.now() timestamp for next change
+let nextKeyChangeAt = Number.POSITIVE_INFINITY; // performance.now() timestamp for next change
 let lastBoostKey = null;
 let keyFlashUntil = 0; // highlight flash end timestamp
 let _boostDown = false; // moved earlier to allow rotation-induced release
 let _boostNotice = null; // { text, ts, durationMs }
-let boostKeyInitialized = false;
-let countdownBoostPrimed = false;
 let localPlayerFinished = false;
 
 function displayBoostKey(k) { return k === ' ' ? 'Space' : k; }
@@ -397,7 +810,7 @@ function playBoostKeyCue() {
   } catch {}
 }
 
-function scheduleNextBoostKeyRotation(delayMs = BOOST_KEY_INTERVAL_MS) {
+function scheduleNextBoostKeyRotation(delayMs) {
   if (!Number.isFinite(delayMs)) {
     nextKeyChangeAt = Number.POSITIVE_INFINITY;
   } else {
@@ -405,38 +818,25 @@ function scheduleNextBoostKeyRotation(delayMs = BOOST_KEY_INTERVAL_MS) {
   }
 }
 
-function rotateBoostKey() {
-  const candidates = BOOST_KEYS.filter(k => k !== currentBoostKey);
-  const idx = Math.floor(Math.random() * candidates.length);
+// Apply the server's key schedule; next change time is converted to local performance.now()
+// using the server timestamp of the same message (avoids depending on clock offset).
+function applyServerBoostKey(key, nextChangeServerMs, serverNowMs) {
+  if (typeof key !== 'string' || !key) return;
+  if (Number.isFinite(nextChangeServerMs) && Number.isFinite(serverNowMs)) {
+    scheduleNextBoostKeyRotation(Math.max(0, nextChangeServerMs - serverNowMs));
+  } else {
+    scheduleNextBoostKeyRotation(Number.POSITIVE_INFINITY);
+  }
+  if (key === currentBoostKey) return;
   lastBoostKey = currentBoostKey;
-  currentBoostKey = candidates[idx] || currentBoostKey;
-  boostKeyInitialized = true;
-  scheduleNextBoostKeyRotation();
+  currentBoostKey = key;
   keyFlashUntil = performance.now() + 600; // flash ~600ms
   playBoostKeyCue();
-  // Release boost if held when key changes to avoid stuck boost
-  if (_boostDown) {
-    _boostDown = false;
-    try { if (MP.ws) MP.ws.send(JSON.stringify({ type: 'pressBoost', down: false, atClientMs: Date.now(), reason: 'keyRotated' })); } catch {}
-  }
+  // Server force-releases held boosts on rotation; mirror it locally to avoid a stuck boost
+  _boostDown = false;
   try { console.log('[DynamicBoost] New boost key:', displayBoostKey(currentBoostKey)); } catch {}
 }
 
-function primeBoostKeyForCountdown() {
-  rotateBoostKey();
-  scheduleNextBoostKeyRotation(Number.POSITIVE_INFINITY);
-  countdownBoostPrimed = true;
-}
-
-function initDynamicBoost() {
-  if (!boostKeyInitialized) {
-    rotateBoostKey();
-  } else {
-    scheduleNextBoostKeyRotation();
-  }
-  countdownBoostPrimed = false;
-}
-
 function setup() {
   const canvasContainer = document.getElementById('canvas-container');
   if (!canvasContainer) return;
@@ -445,6 +845,10 @@ function setup() {
   c.parent(canvasContainer);
   frameRate(60);
   buildTrackObjectsFromPlayers(); // initial (may be empty)
+  if (replayState.pendingRaceId) {
+    loadReplay(replayState.pendingRaceId);
+    replayState.pendingRaceId = null;
+  }
   // Log avatar style once after p5 setup (game loaded)
   try {
     console.log('[WheelHorseSpin Multiplayer] Avatar style:', avatarStyle);
@@ -629,14 +1033,20 @@ function drawTrackObjects() {
     pop();
     // Filled text on top
     text(obj.username, tx, ty);
+    if (!obj.isBot) drawEmoteBubble(obj, pos, avatarSize);
   });
 }
 
-function buildTrackObjectsFromPlayers() {
+// Laps in the current race (room rules; 1 when unknown)
+function raceLapCount() {
+  return (MP.constants && MP.constants.LAPS) || 1;
+}
+
+function buildTrackObjectsFromPlayers(players = MP.players, bots = MP.bots) {
   // Build / refresh trackObjects from humans + bots so all lanes show
-  const humans = (MP.players || []).map(p => ({ id: p.id, username: p.username, lane: p.lane, isBot: false }));
-  const bots = (MP.bots || []).map(b => ({ id: `bot:${b.lane}`, username: b.username || `Bot_${b.lane+1}`, lane: b.lane, isBot: true }));
-  const combined = humans.concat(bots).sort((a,b)=>a.lane - b.lane);
+  const humans = (players || []).map(p => ({ id: p.id, username: p.username, lane: p.lane, isBot: false }));
+  const botEntries = (bots || []).map(b => ({ id: `bot:${b.lane}`, username: b.username || `Bot_${b.lane+1}`, lane: b.lane, isBot: true }));
+  const combined = humans.concat(botEntries).sort((a,b)=>a.lane - b.lane);
   trackObjects = combined.map(entry => {
     const avatarUrl = `https://api.dicebear.com/8.x/${avatarStyle}/svg?seed=${encodeURIComponent(entry.username)}`;
     const img = loadImage(avatarUrl);
@@ -655,46 +1065,242 @@ function buildTrackObjectsFromPlayers() {
   calculateTrackGeometry();
 }
 
-function syncRaceProgress(playersProgress) {
-  playersProgress.forEach(pp => {
-    const obj = trackObjects.find(o => o.id === pp.id);
-    if (!obj || !obj.totalDistance) return;
-    // Interpolate toward latest server progress for smoothness
-    const target = (pp.progress || 0) * obj.totalDistance;
-    obj.remoteProgress = pp.progress; // normalized 0..1
-    obj.progress = obj.progress + (target - obj.progress) * INTERP_ALPHA; // simple lerp
-    obj.finished = pp.finished;
-    // Use server-provided speed and calculate acceleration from it
-    const oldSpeed = obj.currentSpeed || 0;
-    obj.currentSpeed = pp.currentSpeed || 0; // direct from server
-    const dt = 1/60; // approximate server tick interval
-    obj.currentAccel = (obj.currentSpeed - oldSpeed) / dt;
-    if (pp.id === MP.clientId && pp.finished) {
-      localPlayerFinished = true;
+// --- Live Race Interpolation ---
+// Race ticks are buffered by tServerMs and drawn INTERP_DELAY_MS behind the estimated server clock,
+// interpolating between the two snapshots around the render time (like replay playback). When the
+// next snapshot is late, avatars extrapolate on their last speed for up to INTERP_MAX_EXTRAPOLATION_MS.
+const raceInterp = {
+  snapshots: [], // { t, entries: Map(trackObject id -> { progress, currentSpeed, accel, lap, finished }) }
+  clockOffsetMs: null, // server clock minus performance.now(), estimated from tick arrivals
+};
+
+// The least-delayed tick gives the best offset: jump forward to it, drift back slowly otherwise
+// so one late packet doesn't pull the render time back.
+function observeServerClock(tServerMs) {
+  if (!Number.isFinite(tServerMs)) return;
+  const sample = tServerMs - performance.now();
+  if (raceInterp.clockOffsetMs == null || sample > raceInterp.clockOffsetMs) raceInterp.clockOffsetMs = sample;
+  else raceInterp.clockOffsetMs += (sample - raceInterp.clockOffsetMs) * 0.01;
+}
+
+function bufferRaceTick(msg) {
+  const snapshots = raceInterp.snapshots;
+  const prev = snapshots[snapshots.length - 1];
+  if (!Number.isFinite(msg.tServerMs) || (prev && msg.tServerMs <= prev.t)) return; // stale or duplicate
+  const dtSec = prev ? (msg.tServerMs - prev.t) / 1000 : 0;
+  const entries = new Map();
+  const addEntry = (id, e) => {
+    const before = prev && prev.entries.get(id);
+    const currentSpeed = e.currentSpeed || 0;
+    entries.set(id, {
+      progress: e.progress || 0,
+      currentSpeed,
+      // Acceleration over the real server interval between the two ticks
+      accel: before && dtSec > 0 ? (currentSpeed - before.currentSpeed) / dtSec : 0,
+      lap: e.lap || 1,
+      finished: !!e.finished,
+    });
+  };
+  if (msg.players || msg.bots) {
+    (msg.players || []).forEach(p => addEntry(p.id, p));
+    (msg.bots || []).forEach(b => addEntry(`bot:${b.lane}`, b));
+  } else if (prev) {
+    // Binary delta tick without entries: nothing changed since the previous tick
+    prev.entries.forEach((e, id) => entries.set(id, { ...e, accel: 0 }));
+  }
+  snapshots.push({ t: msg.tServerMs, entries });
+  while (snapshots.length > 2 && snapshots[0].t < msg.tServerMs - INTERP_BUFFER_MS) snapshots.shift();
+  const mine = entries.get(MP.clientId);
+  if (mine && mine.finished) localPlayerFinished = true;
+}
+
+function applyRaceInterpolation(renderT) {
+  const snapshots = raceInterp.snapshots;
+  if (!snapshots.length || raceInterp.clockOffsetMs == null) return;
+  if (renderT == null) renderT = performance.now() + raceInterp.clockOffsetMs - INTERP_DELAY_MS;
+  // Last snapshot at or before the render time (or the oldest one if we're still ahead of the buffer)
+  let i = snapshots.length - 1;
+  while (i > 0 && snapshots[i].t > renderT) i--;
+  const a = snapshots[i];
+  const b = snapshots[i + 1];
+  const alpha = b ? constrain((renderT - a.t) / (b.t - a.t), 0, 1) : 0;
+  const aheadSec = b ? 0 : constrain(renderT - a.t, 0, INTERP_MAX_EXTRAPOLATION_MS) / 1000;
+  trackObjects.forEach(obj => {
+    const ea = a.entries.get(obj.id);
+    if (!ea || !obj.totalDistance) return;
+    const eb = b && b.entries.get(obj.id);
+    let progress, entry;
+    if (eb) {
+      progress = ea.progress + (eb.progress - ea.progress) * alpha;
+      obj.currentSpeed = ea.currentSpeed + (eb.currentSpeed - ea.currentSpeed) * alpha;
+      obj.currentAccel = eb.accel; // rate over the a->b interval being drawn
+      entry = alpha < 1 ? ea : eb;
+    } else {
+      progress = ea.progress + ea.currentSpeed * aheadSec;
+      obj.currentSpeed = ea.currentSpeed;
+      obj.currentAccel = ea.accel;
+      entry = ea;
     }
+    obj.remoteProgress = progress; // laps completed (0..LAPS)
+    obj.progress = progress * obj.totalDistance;
+    obj.lap = entry.lap;
+    obj.finished = entry.finished;
   });
 }
 
-function syncBotProgress(botsProgress) {
-  botsProgress.forEach(bp => {
-    const obj = trackObjects.find(o => o.isBot && o.lane === bp.lane);
-    if (!obj || !obj.totalDistance) return;
-    const target = (bp.progress || 0) * obj.totalDistance;
-    obj.remoteProgress = bp.progress;
-    obj.progress = obj.progress + (target - obj.progress) * INTERP_ALPHA;
-    obj.finished = bp.finished;
+// --- Race Replay Playback ---
+// Replays come from GET /api/races/:raceId/replay: { raceStart, inputs[], snapshots[{ t, players[], bots[] }], results }.
+// Playback interpolates progress between the two snapshots surrounding the playhead.
+const replayState = {
+  active: false,
+  pendingRaceId: null,
+  data: null,
+  playing: false,
+  tMs: 0,
+  durationMs: 0,
+  lastFrameMs: null,
+};
+
+function loadReplay(raceId) {
+  if (statusDiv) statusDiv.textContent = `Loading replay ${raceId}…`;
+  fetch(`/api/races/${encodeURIComponent(raceId)}/replay${MP.joinCode ? `?code=${encodeURIComponent(MP.joinCode)}` : ''}`)
+    .then(res => {
+      if (!res.ok) throw new Error(`Replay request failed: ${res.status}`);
+      return res.json();
+    })
+    .then(startReplay)
+    .catch(err => {
+      console.warn('loadReplay failed', err);
+      if (statusDiv) statusDiv.textContent = 'Replay not available.';
+    });
+}
+
+function startReplay(data) {
+  const snapshots = (data && data.snapshots) || [];
+  if (!snapshots.length) {
+    if (statusDiv) statusDiv.textContent = 'Replay has no recorded frames.';
+    return;
+  }
+  const start = data.raceStart || {};
+  replayState.data = data;
+  replayState.active = true;
+  replayState.playing = true;
+  replayState.tMs = 0;
+  replayState.durationMs = snapshots[snapshots.length - 1].t;
+  replayState.lastFrameMs = null;
+  buildTrackObjectsFromPlayers(start.players || [], start.bots || []);
+  raceOverlay.style.display = 'none';
+  if (replayControls) replayControls.style.display = 'flex';
+  if (replayScrub) {
+    replayScrub.max = String(replayState.durationMs);
+    replayScrub.value = '0';
+  }
+  updateReplayControls();
+  if (statusDiv) statusDiv.textContent = `Replaying race ${data.raceId}`;
+}
+
+function stopReplay() {
+  if (!replayState.active) return;
+  replayState.active = false;
+  replayState.playing = false;
+  replayState.data = null;
+  if (replayControls) replayControls.style.display = 'none';
+  buildTrackObjectsFromPlayers();
+  if (MP.phase === 'results') raceOverlay.style.display = 'flex';
+}
+
+function toggleReplayPlayback() {
+  if (!replayState.active) return;
+  if (!replayState.playing && replayState.tMs >= replayState.durationMs) {
+    replayState.tMs = 0; // restart from the beginning once finished
+  }
+  replayState.playing = !replayState.playing;
+  replayState.lastFrameMs = null;
+  updateReplayControls();
+}
+
+function seekReplay(tMs) {
+  if (!replayState.active) return;
+  replayState.tMs = constrain(tMs, 0, replayState.durationMs);
+  replayState.lastFrameMs = null;
+  updateReplayControls();
+}
+
+function updateReplayPlayback() {
+  const now = performance.now();
+  if (replayState.playing) {
+    const elapsed = replayState.lastFrameMs != null ? now - replayState.lastFrameMs : 0;
+    replayState.tMs = Math.min(replayState.durationMs, replayState.tMs + elapsed);
+    if (replayState.tMs >= replayState.durationMs) replayState.playing = false;
+    updateReplayControls();
+  }
+  replayState.lastFrameMs = now;
+  applyReplayFrame(replayState.tMs);
+}
+
+function applyReplayFrame(tMs) {
+  const snapshots = replayState.data.snapshots;
+  // Binary search for the last snapshot at or before tMs
+  let lo = 0, hi = snapshots.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (snapshots[mid].t <= tMs) lo = mid; else hi = mid - 1;
+  }
+  const a = snapshots[lo];
+  const b = snapshots[Math.min(lo + 1, snapshots.length - 1)];
+  const span = b.t - a.t;
+  const alpha = span > 0 ? constrain((tMs - a.t) / span, 0, 1) : 0;
+  const applyEntry = (obj, ea, eb) => {
+    if (!obj || !ea) return;
+    const next = eb || ea;
+    const progress = ea.progress + (next.progress - ea.progress) * alpha;
+    obj.progress = progress * (obj.totalDistance || 0);
+    obj.remoteProgress = progress;
+    obj.currentSpeed = ea.currentSpeed + (next.currentSpeed - ea.currentSpeed) * alpha;
+    obj.finished = alpha < 1 ? ea.finished : next.finished;
+  };
+  (a.players || []).forEach(pa => {
+    const pb = (b.players || []).find(p => p.id === pa.id);
+    applyEntry(trackObjects.find(o => !o.isBot && o.id === pa.id), pa, pb);
+  });
+  (a.bots || []).forEach(ba => {
+    const bb = (b.bots || []).find(x => x.lane === ba.lane);
+    applyEntry(trackObjects.find(o => o.isBot && o.lane === ba.lane), ba, bb);
   });
 }
 
+function updateReplayControls() {
+  if (replayScrub) replayScrub.value = String(Math.round(replayState.tMs));
+  if (replayPlayBtn) replayPlayBtn.textContent = replayState.playing ? 'Pause' : 'Play';
+  if (replayTimeLabel) {
+    replayTimeLabel.textContent = `Replay ${(replayState.tMs / 1000).toFixed(2)}s / ${(replayState.durationMs / 1000).toFixed(2)}s`;
+  }
+}
+
+function drawReplayLabel() {
+  push();
+  textAlign(LEFT, TOP);
+  textSize(16);
+  textStyle(BOLD);
+  noStroke();
+  fill(255, 80, 160);
+  text(`REPLAY ${(replayState.tMs / 1000).toFixed(2)}s`, 12, 10);
+  pop();
+}
+
 function draw() {
   background(8, 12, 26);
   calculateTrackGeometry();
+  if (replayState.active) updateReplayPlayback();
+  else if (MP.phase === 'race') applyRaceInterpolation();
   drawTrack();
   // Draw avatars even in lobby so arrivals appear immediately
   drawTrackObjects();
   // Countdown overlay text in header already handled; show phase label subtle corner
   // Phase label removed per request
-  if (MP.phase === 'results') {
+  if (replayState.active) {
+    drawReplayLabel();
+  } else if (MP.phase === 'results') {
     textAlign(CENTER, CENTER);
     textSize(48);
     stroke(0);
@@ -707,7 +1313,6 @@ function draw() {
 
   // Draw player speed and acceleration during race
   if (MP.phase === 'race') {
-    if (!localPlayerFinished && performance.now() >= nextKeyChangeAt) rotateBoostKey();
     const me = trackObjects.find(o => o.id === MP.clientId);
     if (!localPlayerFinished && me && typeof me.currentSpeed === 'number') {
       const speed = Math.round(me.currentSpeed * 1000);
@@ -734,10 +1339,12 @@ function draw() {
       const secRemaining = Math.ceil(msRemaining / 1000);
       text(`Press [${displayBoostKey(currentBoostKey)}] to boost (${secRemaining}s)`, width/2, height/2 - 35);
 
-      // Speed text
+      // Speed text (with lap counter on multi-lap races)
       textStyle(BOLD);
       textSize(18);
-      text(`Speed: ${speed}`, width/2, height/2 - 10);
+      const laps = raceLapCount();
+      const lapStr = laps > 1 ? `Lap ${Math.min(me.lap || 1, laps)}/${laps} · ` : '';
+      text(`${lapStr}Speed: ${speed}`, width/2, height/2 - 10);
 
       // Acceleration meter bar (only show when positive)
       textSize(12);
@@ -769,13 +1376,16 @@ function draw() {
 
 // --- Boost Controls & Notification (dynamic key variant) ---
 function onKeyDown(e) {
-  if (MP.phase !== 'race' || !MP.ws) return;
+  if (MP.phase !== 'race' || !MP.ws || MP.spectator) return;
   const ae = document.activeElement;
   if (ae && (ae.tagName === 'INPUT' || ae.tagName === 'TEXTAREA' || ae.isContentEditable)) return;
+  // Digits 1-8 send emotes (never boost keys)
+  const emoteIndex = /^[1-8]$/.test(e.key) ? Number(e.key) - 1 : -1;
+  if (emoteIndex >= 0 && !e.repeat) { sendEmote(EMOTES[emoteIndex][0]); return; }
   const key = (e.key === ' ' || e.code === 'Space') ? ' ' : e.key.toUpperCase();
   if (key === currentBoostKey && !_boostDown) {
     _boostDown = true;
-    MP.ws.send(JSON.stringify({ type: 'pressBoost', down: true, atClientMs: Date.now() }));
+    MP.ws.send(JSON.stringify({ type: 'pressBoost', down: true, key, atClientMs: Date.now() }));
   }
 }
 
@@ -784,7 +1394,7 @@ function onKeyUp(e) {
   const key = (e.key === ' ' || e.code === 'Space') ? ' ' : e.key.toUpperCase();
   if (key === currentBoostKey && _boostDown) {
     _boostDown = false;
-    MP.ws.send(JSON.stringify({ type: 'pressBoost', down: false, atClientMs: Date.now() }));
+    MP.ws.send(JSON.stringify({ type: 'pressBoost', down: false, key, atClientMs: Date.now() }));
   }
 }
 
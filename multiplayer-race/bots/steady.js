@@ -0,0 +1,21 @@
+// Example bot strategy (profile 'steady'): boost whenever the human boost rules allow it.
+//
+// Every bots/<name>.js file becomes a bot profile usable in BOT_PROFILE_MIX. The file runs in a
+// sandbox (no require/process) and must assign a synchronous function to module.exports. It is
+// called once per tick with a read-only snapshot and returns true to hold boost this tick:
+//
+//   snapshot = {
+//     elapsedMs, laps, random,            // random: seeded [0, 1) draw for this tick
+//     self: { lane, progress, lap, lapFraction, currentSpeed, boosting, boostMsRemaining, cooldownMsRemaining },
+//     opponents: [{ lane, isBot, progress, lap, currentSpeed, finished }],
+//     constants: { BOOST_FACTOR, IDLE_SPEED_FACTOR, ACCELERATION_RATE, DECELERATION_RATE,
+//                  BOOST_MAX_DURATION_MS, BOOST_COOLDOWN_MS, MAX_EXECUTION_TIME },
+//   }
+//
+// Top-level variables persist between ticks of one race (each bot gets its own copy).
+
+module.exports = function decide(snapshot) {
+  const self = snapshot.self;
+  if (self.boosting) return self.boostMsRemaining > 0;
+  return self.cooldownMsRemaining === 0;
+};
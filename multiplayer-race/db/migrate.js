@@ -59,6 +59,161 @@ async function migrate(pool) {
       ALTER TABLE race_participants ADD COLUMN IF NOT EXISTS is_last_human BOOLEAN DEFAULT FALSE;
       ALTER TABLE race_participants ADD COLUMN IF NOT EXISTS human_final_position INTEGER;
       ALTER TABLE race_participants ADD COLUMN IF NOT EXISTS human_finish_time_seconds DECIMAL(10,3);
+      ALTER TABLE races ADD COLUMN IF NOT EXISTS race_seed BIGINT;
+      ALTER TABLE races ADD COLUMN IF NOT EXISTS laps INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE race_participants ADD COLUMN IF NOT EXISTS bot_profile VARCHAR(32);
+    `);
+
+    // series tables (best-of-N series mode; races link to their series)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS series (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        series_id VARCHAR(255) NOT NULL UNIQUE,
+        room_id VARCHAR(255) NOT NULL,
+        total_races INTEGER NOT NULL,
+        races_completed INTEGER NOT NULL DEFAULT 0,
+        finished BOOLEAN NOT NULL DEFAULT FALSE,
+        toll_payer_id VARCHAR(255),
+        toll_payer_username VARCHAR(255),
+        started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS series_standings (
+        series_id UUID REFERENCES series(id) ON DELETE CASCADE,
+        player_id VARCHAR(255) NOT NULL,
+        username VARCHAR(255) NOT NULL,
+        points INTEGER NOT NULL DEFAULT 0,
+        wins INTEGER NOT NULL DEFAULT 0,
+        last_places INTEGER NOT NULL DEFAULT 0,
+        races INTEGER NOT NULL DEFAULT 0,
+        total_seconds DECIMAL(10, 3) NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (series_id, player_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_series_room_id ON series(room_id);
+      ALTER TABLE races ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES series(id) ON DELETE SET NULL;
+      ALTER TABLE races ADD COLUMN IF NOT EXISTS series_race_number INTEGER;
+    `);
+
+    // debts table (toll ledger: one row per owed toll, settled via REST)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS debts (
+        id SERIAL PRIMARY KEY,
+        room_id VARCHAR(255) NOT NULL,
+        race_id UUID REFERENCES races(id) ON DELETE SET NULL,
+        username VARCHAR(255) NOT NULL,
+        amount INTEGER NOT NULL DEFAULT 1,
+        reason VARCHAR(32) NOT NULL DEFAULT 'lastHuman',
+        settled BOOLEAN NOT NULL DEFAULT FALSE,
+        settled_at TIMESTAMP WITH TIME ZONE,
+        settled_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_debts_room_settled ON debts(room_id, settled);
+    `);
+
+    // race_participant_splits table (checkpoint split times per participant)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS race_participant_splits (
+        id SERIAL PRIMARY KEY,
+        participant_id INTEGER REFERENCES race_participants(id) ON DELETE CASCADE,
+        lap INTEGER NOT NULL,
+        checkpoint DECIMAL(4, 3) NOT NULL,
+        split_time_seconds DECIMAL(10, 3) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_splits_participant_id ON race_participant_splits(participant_id);
+    `);
+
+    // race_replays table (one JSONB document per race; see /api/races/:raceId/replay)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS race_replays (
+        race_id VARCHAR(255) PRIMARY KEY,
+        room_id VARCHAR(255) NOT NULL,
+        replay JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_replays_room_id ON race_replays(room_id);
+    `);
+
+    // players table (persistent identities: client-generated uid, latest display name)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS players (
+        id SERIAL PRIMARY KEY,
+        client_uid VARCHAR(64) NOT NULL UNIQUE,
+        display_name VARCHAR(255) NOT NULL,
+        first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      ALTER TABLE races ADD COLUMN IF NOT EXISTS winner_player_ref INTEGER REFERENCES players(id) ON DELETE SET NULL;
+      ALTER TABLE race_participants ADD COLUMN IF NOT EXISTS player_ref INTEGER REFERENCES players(id) ON DELETE SET NULL;
+      ALTER TABLE debts ADD COLUMN IF NOT EXISTS player_ref INTEGER REFERENCES players(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_participants_player_ref ON race_participants(player_ref);
+    `);
+
+    // skill ratings: current rating on players, one history row per rated race
+    await client.query(`
+      ALTER TABLE players ADD COLUMN IF NOT EXISTS rating DECIMAL(7, 2) NOT NULL DEFAULT 1500;
+      ALTER TABLE players ADD COLUMN IF NOT EXISTS rated_races INTEGER NOT NULL DEFAULT 0;
+      CREATE TABLE IF NOT EXISTS player_ratings (
+        id SERIAL PRIMARY KEY,
+        player_ref INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        race_id UUID REFERENCES races(id) ON DELETE CASCADE,
+        rating_before DECIMAL(7, 2) NOT NULL,
+        rating_after DECIMAL(7, 2) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_player_ratings_player ON player_ratings(player_ref, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_players_rating ON players(rating DESC) WHERE rated_races > 0;
+    `);
+
+    // anti-automation flags; leaderboard_excluded / winner_excluded when the room had EXCLUDE_FLAGGED on
+    await client.query(`
+      ALTER TABLE race_participants ADD COLUMN IF NOT EXISTS automation_flagged BOOLEAN NOT NULL DEFAULT FALSE;
+      ALTER TABLE race_participants ADD COLUMN IF NOT EXISTS automation_flags TEXT[];
+      ALTER TABLE race_participants ADD COLUMN IF NOT EXISTS leaderboard_excluded BOOLEAN NOT NULL DEFAULT FALSE;
+      ALTER TABLE races ADD COLUMN IF NOT EXISTS winner_excluded BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+
+    // toll creditor (the race's first human) and the verified identity that settled the debt;
+    // debts name players by player_ref only (clientIds mean nothing after the session)
+    await client.query(`
+      ALTER TABLE debts DROP COLUMN IF EXISTS player_id;
+      ALTER TABLE debts DROP COLUMN IF EXISTS creditor_player_id;
+      ALTER TABLE debts ADD COLUMN IF NOT EXISTS creditor_username VARCHAR(255);
+      ALTER TABLE debts ADD COLUMN IF NOT EXISTS creditor_ref INTEGER REFERENCES players(id) ON DELETE SET NULL;
+      ALTER TABLE debts ADD COLUMN IF NOT EXISTS settled_by_ref INTEGER REFERENCES players(id) ON DELETE SET NULL;
+    `);
+
+    // private rooms: sha256 of the join code (NULL for public rooms) so REST reads can require it
+    await client.query(`
+      ALTER TABLE races ADD COLUMN IF NOT EXISTS room_code_hash VARCHAR(64);
+      ALTER TABLE race_replays ADD COLUMN IF NOT EXISTS room_code_hash VARCHAR(64);
+      ALTER TABLE debts ADD COLUMN IF NOT EXISTS room_code_hash VARCHAR(64);
+      ALTER TABLE series ADD COLUMN IF NOT EXISTS room_code_hash VARCHAR(64);
+    `);
+
+    // series standings of identified players are keyed by player_ref (player_id 'ref:<player_ref>')
+    await client.query(`
+      ALTER TABLE series_standings ADD COLUMN IF NOT EXISTS player_ref INTEGER REFERENCES players(id) ON DELETE SET NULL;
     `);
 
     await client.query('COMMIT');
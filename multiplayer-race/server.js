@@ -23,6 +23,9 @@ const RateLimit = require('express-rate-limit');
 const path = require('path');
 const { WebSocketServer } = require('ws');
 const { execSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const vm = require('vm');
 // Optional database integration (auto-migrate on startup if DATABASE_URL present)
 let dbPool = null;
 try {
@@ -70,6 +73,10 @@ const TOTAL_LANES = 8;
 const COUNTDOWN_SECONDS = 3;
 // Tick frequency: higher values yield smoother client updates (at cost of bandwidth)
 const TICK_RATE_HZ = 60;
+// Race physics advance in fixed steps of this length, independent of the tick timer; per-step bot boost
+// probabilities (BOT_BOOST_PROB_PER_TICK, profiles) are tuned for the 60Hz default
+const SIM_STEP_MS = Number(process.env.SIM_STEP_MS ?? 1000 / 60);
+const SIM_MAX_STEPS_PER_UPDATE = 30; // catch-up cap per update after a stall; the rest carries to the next one
 const BOOST_FACTOR = 2.0; // increased from 1.4 for more noticeable boost
 // Motion tuning: when not boosting, players decelerate toward an idle speed.
 // Accel/decel rates are in progress-per-second change per second (applied over dt).
@@ -86,59 +93,301 @@ const BOT_BOOST_ENABLE_PROB = Number(process.env.BOT_BOOST_ENABLE_PROB ?? 0.8);
 
 const BOOST_MAX_DURATION_MS = Number(process.env.BOOST_MAX_DURATION_MS ?? 300); // Max boost hold time
 const BOOST_COOLDOWN_MS = Number(process.env.BOOST_COOLDOWN_MS ?? 50);
+// Server-authoritative rotating boost key: pressBoost must carry the current key
+const BOOST_KEYS = ['W','A','S','D','Q','E','Z','X','C',' '];
+const BOOST_KEY_INTERVAL_MS = Number(process.env.BOOST_KEY_INTERVAL_MS ?? 3000);
 const FINISH_DECELERATION_DURATION_MS = Number(process.env.FINISH_DECELERATION_DURATION_MS ?? 2000);
+const LAPS = Number(process.env.LAPS ?? 1); // laps per race (progress runs 0..LAPS)
+const CHECKPOINT_FRACTIONS = [0.25, 0.5, 0.75]; // intermediate split points within each lap
+
+// Named bot difficulty profiles. Each bot gets a profile (room BOT_PROFILE_MIX, cycled by lane);
+// `boost(b, ctx)` decides per tick whether the bot boosts. ctx = { rng, c, lapFraction, elapsedMs }
+const BOT_PROFILES = {
+  // Slow idle pace and hesitant, random boosting
+  rookie: {
+    idleFactor: [0.80, 0.95],
+    jitterScale: [1.0, 1.6],
+    boost: (b, ctx) => ctx.rng() < ctx.c.BOT_BOOST_PROB_PER_TICK * 0.5 && ctx.rng() < ctx.c.BOT_BOOST_ENABLE_PROB,
+  },
+  // Even pace: short boost bursts on a fixed one-second rhythm
+  pacer: {
+    idleFactor: [0.95, 1.05],
+    jitterScale: [0.5, 0.8],
+    boost: (b, ctx) => (ctx.elapsedMs + b.rhythmOffsetMs) % 1000 < 300,
+  },
+  // Burns boosts in the first 40% of each lap, then fades
+  sprinter: {
+    idleFactor: [0.90, 1.05],
+    jitterScale: [0.7, 1.2],
+    boost: (b, ctx) => ctx.rng() < (ctx.lapFraction < 0.4 ? 0.6 : 0.04),
+  },
+  // Saves boosts for the last 20% of each lap
+  closer: {
+    idleFactor: [0.95, 1.10],
+    jitterScale: [0.6, 1.0],
+    boost: (b, ctx) => ctx.rng() < (ctx.lapFraction >= 0.8 ? 0.85 : 0.02),
+  },
+};
+// Operator bot strategies: every bots/<name>.js becomes profile <name>, run sandboxed (see Bot Strategies below)
+const BOT_STRATEGIES_DIR = process.env.BOT_STRATEGIES_DIR || path.join(__dirname, 'bots');
+const BOT_STRATEGY_TIMEOUT_MS = Number(process.env.BOT_STRATEGY_TIMEOUT_MS ?? 5); // per decision
+const BOT_STRATEGY_MAX_FAILURES = Number(process.env.BOT_STRATEGY_MAX_FAILURES ?? 3); // per bot per race, then it stops boosting
+// Calls that use more than this share of BOT_STRATEGY_TIMEOUT_MS count as slow; too many and the strategy is disabled
+// too, so strategies that stay just under the timeout can't eat the tick (7 bots x 5ms x 60Hz > 1s per second)
+const BOT_STRATEGY_SLOW_FRACTION = 0.5;
+const BOT_STRATEGY_MAX_SLOW_CALLS = Number(process.env.BOT_STRATEGY_MAX_SLOW_CALLS ?? 10); // per bot per race
+const BOT_STRATEGIES = loadBotStrategies(BOT_STRATEGIES_DIR); // name -> { name, filename, script }
+const BOT_PROFILE_NAMES = [...Object.keys(BOT_PROFILES), ...BOT_STRATEGIES.keys()];
+const ENV_BOT_PROFILE_MIX = String(process.env.BOT_PROFILE_MIX || '').split(',').map(n => n.trim()).filter(n => BOT_PROFILE_NAMES.includes(n));
+const BOT_PROFILE_MIX = ENV_BOT_PROFILE_MIX.length ? ENV_BOT_PROFILE_MIX : Object.keys(BOT_PROFILES); // e.g. BOT_PROFILE_MIX=closer,pacer
+// Series mode (best-of-N): points per human finish position (1st, 2nd, ...); positions beyond the table score 0
+const SERIES_POINTS = [10, 7, 5, 3, 2, 1];
+const SERIES_RACES = Number(process.env.SERIES_RACES ?? 1); // default races per series for new rooms (1 = off)
+// Replay recording: tick snapshots are sampled at this interval; completed replays kept in memory (and DB when configured)
+const REPLAY_SNAPSHOT_INTERVAL_MS = Number(process.env.REPLAY_SNAPSHOT_INTERVAL_MS ?? 100);
+const REPLAY_MAX_STORED = Number(process.env.REPLAY_MAX_STORED ?? 50);
+// Session resume: a disconnected player's slot and race state are kept this long for a resuming hello
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS ?? 30000);
+// WebSocket protocol: this server speaks PROTOCOL_VERSION and shims clients down to MIN_PROTOCOL_VERSION.
+// v2: tick progress counts laps (0..LAPS) with a `lap` field; v1 clients get the race fraction (0..1).
+// Every version must send the pressed `key` with pressBoost; v1 clients without it cannot boost (missingKey).
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+// Advertised in welcome; a hello listing `features` gets the intersection back as `enabled`
+const PROTOCOL_FEATURES = ['spectate', 'resume', 'roomRules', 'laps', 'checkpointSplits', 'botProfiles', 'series', 'replays', 'privateRooms', 'moderation', 'chat', 'emotes', 'playerIdentity', 'clockSync', 'binaryTicks'];
+// Only enabled for v2+ clients that list them in hello.features (they change the wire format)
+const PROTOCOL_OPT_IN_FEATURES = ['binaryTicks'];
+// binaryTicks: every Nth compact tick frame is a keyframe (full state), the rest carry changes only
+const COMPACT_TICK_KEYFRAME_INTERVAL = TICK_RATE_HZ; // one keyframe per second
+// Persistent player identity sent in hello (client-generated, kept in localStorage)
+const PLAYER_UID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+// Chat and emotes: length limit and per-sender sliding-window rate limits
+const CHAT_MAX_LENGTH = 200;
+const CHAT_RATE_MAX = 5; // messages per CHAT_RATE_WINDOW_MS
+const CHAT_RATE_WINDOW_MS = 10000;
+const EMOTE_RATE_MAX = 3; // emotes per EMOTE_RATE_WINDOW_MS
+const EMOTE_RATE_WINDOW_MS = 3000;
+const EMOTES = { thumbsUp: '👍', laugh: '😂', fire: '🔥', scream: '😱', snail: '🐌', wave: '👋', coffee: '☕', trophy: '🏆' }; // should match client
+// Skill ratings (pairwise multiplayer Elo over identified humans; bots are ignored)
+const RATING_INITIAL = Number(process.env.RATING_INITIAL ?? 1500);
+const RATING_K_FACTOR = Number(process.env.RATING_K_FACTOR ?? 32);
+// Private rooms: generated join codes (no 0/O/1/I) or a host-chosen password of 4-64 characters
+const JOIN_CODE_LENGTH = 6;
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_PASSWORD_MIN_LENGTH = 4;
+const JOIN_PASSWORD_MAX_LENGTH = 64;
+// Client messages larger than this get an `error` reply and are not parsed; frames over
+// MAX_MESSAGE_BYTES * 16 are refused by ws itself (connection closed with 1009)
+const MAX_MESSAGE_BYTES = Number(process.env.MAX_MESSAGE_BYTES ?? 4096);
+// Clock sync: clockSync clients are pinged every CLOCK_SYNC_INTERVAL_MS; the pong gives RTT and clock offset
+const CLOCK_SYNC_INTERVAL_MS = Number(process.env.CLOCK_SYNC_INTERVAL_MS ?? 2000);
+const CLOCK_SYNC_SAMPLES = 8; // recent pongs kept; the offset comes from the lowest-RTT one
+const CLOCK_SYNC_MAX_PENDING = 4; // unanswered pings remembered (older pongs are ignored)
+// Boost start/end is applied at the press time (atClientMs mapped to server time), at most this far back
+const BOOST_MAX_REWIND_MS = Number(process.env.BOOST_MAX_REWIND_MS ?? 150);
+// ...and never further than the session's measured one-way latency (RTT/2) plus this jitter margin
+const BOOST_REWIND_JITTER_MS = Number(process.env.BOOST_REWIND_JITTER_MS ?? 20);
+// Anti-automation: a human's boost input is flagged when it looks scripted (see Input Analysis)
+const AUTOMATION_MIN_SAMPLES = 8; // press intervals / holds needed before judging them
+const AUTOMATION_INTERVAL_CV = Number(process.env.AUTOMATION_INTERVAL_CV ?? 0.05); // stddev/mean of press intervals below this = metronomic
+const AUTOMATION_MIN_REACTIONS = 3; // key rotations answered before judging reaction times
+const AUTOMATION_MIN_REACTION_MS = Number(process.env.AUTOMATION_MIN_REACTION_MS ?? 100); // median rotation->press (incl. round trip) below this
+const AUTOMATION_MIN_HOLD_MS = Number(process.env.AUTOMATION_MIN_HOLD_MS ?? 20); // shorter key holds are not physical presses
+const AUTOMATION_SHORT_HOLD_SHARE = 0.5; // share of holds under AUTOMATION_MIN_HOLD_MS that flags
+const AUTOMATION_MAX_OVERLAPPING_PRESSES = 2; // presses while already held (no release in between) tolerated
+const AUTOMATION_MAX_SAMPLES = 500; // per series of samples and race
+const EXCLUDE_FLAGGED = process.env.EXCLUDE_FLAGGED === 'true'; // default for the room option: flagged results stay off leaderboards
+// Optional fixed race seed (integer) for reproducible races; random per race when unset
+const RACE_SEED = process.env.RACE_SEED != null && process.env.RACE_SEED !== '' ? (Number(process.env.RACE_SEED) >>> 0) : null;
+// The boost key schedule never derives from raceSeed (clients get that in raceStart). It comes from a random
+// per-race secret, or from this server-only secret + raceSeed when set (reproducible keys with RACE_SEED)
+const BOOST_KEY_SECRET = process.env.BOOST_KEY_SECRET || null;
 
 // Base motion constants (should match client)
 const MAX_EXECUTION_TIME = 10; // seconds nominal lap duration per single-player
 
+// Host-configurable room rules (configureRoom): allowed range per room.constants key
+const ROOM_RULE_LIMITS = {
+  COUNTDOWN_SECONDS: { min: 1, max: 10, integer: true },
+  TOTAL_LANES: { min: 1, max: 10, integer: true },
+  MAX_EXECUTION_TIME: { min: 3, max: 120 }, // nominal seconds per lap at base speed
+  LAPS: { min: 1, max: 20, integer: true },
+  BOOST_FACTOR: { min: 1, max: 5 },
+  BOOST_MAX_DURATION_MS: { min: 50, max: 5000, integer: true },
+  BOOST_COOLDOWN_MS: { min: 0, max: 10000, integer: true },
+  BOOST_KEY_INTERVAL_MS: { min: 500, max: 60000, integer: true },
+  IDLE_SPEED_FACTOR: { min: 0.1, max: 2 },
+  ACCELERATION_RATE: { min: 0.01, max: 5 },
+  DECELERATION_RATE: { min: 0.01, max: 5 },
+  BOT_IDLE_SPEED_FACTOR: { min: 0.1, max: 2 },
+  BOT_ACCELERATION_RATE: { min: 0.01, max: 5 },
+  BOT_DECELERATION_RATE: { min: 0.01, max: 5 },
+  BOT_BOOST_PROB_PER_TICK: { min: 0, max: 1 },
+  BOT_BOOST_ENABLE_PROB: { min: 0, max: 1 },
+  FINISH_DECELERATION_DURATION_MS: { min: 100, max: 10000, integer: true },
+  BOT_PROFILE_MIX: { oneOf: BOT_PROFILE_NAMES, minLength: 1, maxLength: 10 }, // list of profile names
+  SERIES_RACES: { min: 1, max: 15, integer: true }, // races per series; 1 = single races (setting it starts a new series)
+  EXCLUDE_FLAGGED: { boolean: true }, // keep results of players flagged as automated off the leaderboards
+};
+
 // --- Data Structures ---
 const rooms = new Map(); // roomId -> Room
+const replays = new Map(); // raceId -> { replay, codeHash } for completed races (insertion ordered, capped at REPLAY_MAX_STORED)
 let nextClientId = 1;
 
 function nowMs() { return Date.now(); }
 function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
 
+// Deterministic PRNG (mulberry32): returns a function yielding floats in [0, 1)
+function createPrng(seed) {
+  let state = seed >>> 0;
+  return function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Unpredictable [0,1) stream keyed by a secret (HMAC-SHA256 over a counter); used where clients must not
+// be able to reproduce the sequence, unlike createPrng whose 32-bit seeds are public or brute-forceable
+function createSecretPrng(secret) {
+  let counter = 0;
+  return function next() {
+    return crypto.createHmac('sha256', secret).update(String(counter++)).digest().readUInt32LE(0) / 4294967296;
+  };
+}
+
+// Server-only secret for a race's boost key schedule (see BOOST_KEY_SECRET)
+function boostKeySecret(raceSeed) {
+  if (BOOST_KEY_SECRET == null) return crypto.randomBytes(32);
+  return crypto.createHash('sha256').update(`${BOOST_KEY_SECRET}:${raceSeed}`).digest();
+}
+
+// Derive a per-participant 32-bit seed from the race seed and a stable key (e.g. 'lane:3')
+function deriveSeed(raceSeed, key) {
+  let h = 0x811C9DC5 ^ (raceSeed >>> 0); // FNV-1a over the key, salted with the race seed
+  const str = String(key);
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h >>> 0;
+}
+
 function createRoom(roomId) {
   const room = {
     id: roomId,
     phase: 'lobby', // lobby | countdown | race | results
     hostId: null,
-    players: new Map(), // clientId -> {id, username, ready, lane, lastResult}
+    private: false, // hidden from GET /api/rooms; hello must present joinCode
+    joinCode: null, // generated code or host-chosen password (private rooms only)
+    bans: new Set(), // ban keys (see banKey) refused by hello for the room's lifetime
+    players: new Map(), // clientId -> {id, uid, username, ready, lane, lastResult, resumeToken, protocol, clock, ws (null while disconnected)}
+    spectators: new Map(), // clientId -> {id, uid, username, ws, joinMs, protocol, clock}; no lane, never host, cannot boost
     bots: [], // {username, lane}
     readySet: new Set(),
     countdownEndsAt: null,
     raceStartEpochMs: null,
     raceId: null,
+    raceSeed: null,
     seeds: {},
-    constants: { INPUT_KEY, DEFAULT_PLAYERS, MAX_PLAYERS, TOTAL_LANES, COUNTDOWN_SECONDS, BOOST_FACTOR, BOOST_MAX_DURATION_MS, BOOST_COOLDOWN_MS, IDLE_SPEED_FACTOR, ACCELERATION_RATE, DECELERATION_RATE, BOT_IDLE_SPEED_FACTOR, BOT_ACCELERATION_RATE, BOT_DECELERATION_RATE, BOT_BOOST_PROB_PER_TICK, BOT_BOOST_ENABLE_PROB, FINISH_DECELERATION_DURATION_MS },
+    boostKey: INPUT_KEY, // current accepted boost key (' ' = Space)
+    nextBoostKeyAt: null, // epoch ms of next rotation; null while not rotating
+    boostKeyChangedAt: null, // epoch ms of the last rotation during a race (reaction-time reference)
+    boostKeyRng: null,
+    replay: null, // in-progress replay recording during a race
+    constants: { INPUT_KEY, DEFAULT_PLAYERS, MAX_PLAYERS, TOTAL_LANES, COUNTDOWN_SECONDS, BOOST_FACTOR, BOOST_MAX_DURATION_MS, BOOST_COOLDOWN_MS, BOOST_KEYS, BOOST_KEY_INTERVAL_MS, IDLE_SPEED_FACTOR, ACCELERATION_RATE, DECELERATION_RATE, BOT_IDLE_SPEED_FACTOR, BOT_ACCELERATION_RATE, BOT_DECELERATION_RATE, BOT_BOOST_PROB_PER_TICK, BOT_BOOST_ENABLE_PROB, FINISH_DECELERATION_DURATION_MS, MAX_EXECUTION_TIME, LAPS, BOT_PROFILE_MIX, SERIES_RACES, EXCLUDE_FLAGGED },
+    series: null, // best-of-N standings while SERIES_RACES > 1 (see Series Mode)
     tickTimer: null,
-    lastUpdateMs: null,
+    simSteps: 0, // fixed steps simulated in the current race (see updateRace)
   };
+  startSeries(room);
   rooms.set(roomId, room);
   return room;
 }
 
-// Allocate lanes 0..9; players first, then bots
+// Allocate lanes 0..9; players first, then bots (profiles cycle through the room's BOT_PROFILE_MIX).
+// Mid-race it does nothing: the racing bots carry their seeded rng and race state from startRace.
 function allocateLanes(room) {
-  const lanes = Array.from({ length: TOTAL_LANES }, (_, i) => i);
+  if (room.phase === 'race') return;
+  const totalLanes = room.constants.TOTAL_LANES;
+  const lanes = Array.from({ length: totalLanes }, (_, i) => i);
   // assign human players deterministically by join order
   const playerEntries = Array.from(room.players.values()).sort((a,b)=>a.joinMs-b.joinMs);
   playerEntries.forEach((p, idx) => { p.lane = lanes[idx]; });
   // fill remaining with bots
   room.bots = [];
   const humans = playerEntries.length;
-  for (let i = humans; i < TOTAL_LANES; i++) {
-    room.bots.push({ username: `Bot_${i+1-humans}`, lane: lanes[i] });
+  const mix = room.constants.BOT_PROFILE_MIX;
+  for (let i = humans; i < totalLanes; i++) {
+    room.bots.push({ username: `Bot_${i+1-humans}`, lane: lanes[i], profile: mix[(i - humans) % mix.length] });
   }
 }
 
-function broadcast(room, msg) {
-  const data = JSON.stringify(msg);
-  room.players.forEach(p => {
-    if (p.ws && p.ws.readyState === 1) {
-      p.ws.send(data);
+// Validate a configureRoom rules object against ROOM_RULE_LIMITS; all-or-nothing
+function validateRoomRules(room, rules) {
+  const errors = [];
+  const values = {};
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return { values, errors: [{ key: null, reason: 'notObject' }] };
+  }
+  Object.keys(rules).forEach(key => {
+    const limits = Object.prototype.hasOwnProperty.call(ROOM_RULE_LIMITS, key) ? ROOM_RULE_LIMITS[key] : null;
+    const value = rules[key];
+    if (!limits) { errors.push({ key, reason: 'unknownRule' }); return; }
+    if (limits.boolean) {
+      if (typeof value !== 'boolean') { errors.push({ key, reason: 'notBoolean' }); return; }
+      values[key] = value;
+      return;
     }
+    if (limits.oneOf) {
+      if (!Array.isArray(value) || value.length < limits.minLength || value.length > limits.maxLength) { errors.push({ key, reason: 'notList', minLength: limits.minLength, maxLength: limits.maxLength }); return; }
+      const unknown = value.filter(v => !limits.oneOf.includes(v));
+      if (unknown.length) { errors.push({ key, reason: 'unknownValue', values: unknown, allowed: limits.oneOf }); return; }
+      values[key] = value.slice();
+      return;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) { errors.push({ key, reason: 'notNumber' }); return; }
+    if (limits.integer && !Number.isInteger(value)) { errors.push({ key, reason: 'notInteger' }); return; }
+    // Lanes can never drop below the humans already seated
+    const min = key === 'TOTAL_LANES' ? Math.max(limits.min, room.players.size) : limits.min;
+    if (value < min || value > limits.max) { errors.push({ key, reason: 'outOfRange', min, max: limits.max }); return; }
+    values[key] = value;
   });
+  return { values, errors };
+}
+
+function broadcast(room, msg) {
+  const wantsCompact = (c) => !!(c.protocol && c.protocol.features.includes('binaryTicks'));
+  let compact = null;
+  if (msg.type === 'tick') {
+    const recipients = [...room.players.values(), ...room.spectators.values()];
+    if (recipients.some(c => c.ws && c.ws.readyState === 1 && wantsCompact(c))) compact = compactTickFrames(room, msg);
+    else room.tickCodec = null; // nobody to stay in sync with; the next binary client starts from a keyframe
+  }
+  const encoded = new Map(); // protocol version -> JSON (shimmed once per version)
+  const encodeFor = (protocol) => {
+    const version = protocol ? protocol.version : PROTOCOL_VERSION;
+    if (!encoded.has(version)) {
+      const shim = PROTOCOL_SHIMS[version];
+      encoded.set(version, JSON.stringify(shim ? shim(room, msg) : msg));
+    }
+    return encoded.get(version);
+  };
+  const sendTo = (c) => {
+    if (c.ws && c.ws.readyState === 1) {
+      c.ws.send(compact && wantsCompact(c) ? compact.frameFor(c.ws) : encodeFor(c.protocol));
+    }
+  };
+  room.players.forEach(sendTo);
+  room.spectators.forEach(sendTo);
+}
+
+// Bot roster as sent to clients (runtime race state such as rng/strategy stays server-side)
+function publicBots(room) {
+  return room.bots.map(b => ({ username: b.username, lane: b.lane, profile: b.profile }));
 }
 
 function roomStatePayload(room) {
@@ -147,32 +396,106 @@ function roomStatePayload(room) {
     roomId: room.id,
     phase: room.phase,
     hostId: room.hostId,
-    players: Array.from(room.players.values()).map(p=>({ id: p.id, username: p.username, ready: !!p.ready, lane: p.lane, lastResult: p.lastResult || null })),
-    bots: room.bots,
+    private: room.private,
+    players: Array.from(room.players.values()).map(p=>({ id: p.id, username: p.username, ready: !!p.ready, lane: p.lane, lastResult: p.lastResult || null, connected: !!p.ws, flagged: !!p.flagged, flagReasons: p.flagReasons || [], rttMs: clockRtt(p) })),
+    spectators: Array.from(room.spectators.values()).map(s=>({ id: s.id, username: s.username, rttMs: clockRtt(s) })),
+    bots: publicBots(room),
+    series: seriesPayload(room.series),
     constants: room.constants,
   };
 }
 
+// Humans that can hold a lane in this room
+function roomCapacity(room) {
+  return Math.min(MAX_PLAYERS, room.constants.TOTAL_LANES);
+}
+
+// Room summary for GET /api/rooms
+function roomListing(room) {
+  const host = room.hostId != null ? room.players.get(room.hostId) : null;
+  const capacity = roomCapacity(room);
+  return {
+    id: room.id,
+    phase: room.phase,
+    humans: room.players.size,
+    capacity,
+    spectators: room.spectators.size,
+    host: host ? host.username : null,
+    joinable: room.phase === 'lobby' && room.players.size < capacity,
+  };
+}
+
+// Normalize a client-reported key to the BOOST_KEYS alphabet (' ' for Space)
+function normalizeBoostKey(key) {
+  if (typeof key !== 'string' || !key) return null;
+  if (key === ' ' || key.toLowerCase() === 'space') return ' ';
+  return key.toUpperCase();
+}
+
+// Pick the next boost key (never repeating the current one) and force-release held boosts
+function rotateBoostKey(room, now) {
+  const candidates = BOOST_KEYS.filter(k => k !== room.boostKey);
+  const rng = room.boostKeyRng || Math.random;
+  room.boostKey = candidates[Math.floor(rng() * candidates.length)] || room.boostKey;
+  room.nextBoostKeyAt = room.phase === 'race' ? now + room.constants.BOOST_KEY_INTERVAL_MS : null;
+  room.boostKeyChangedAt = room.phase === 'race' ? now : null;
+  room.players.forEach(p => {
+    if (p.boostDown) {
+      p.boostDown = false;
+      p.lastBoostEndMs = now;
+      broadcast(room, { type: 'boost', playerId: p.id, down: false, atClientMs: now, accepted: true, reason: 'keyRotated' });
+    }
+  });
+}
+
 function startCountdown(room) {
   room.phase = 'countdown';
-  room.countdownEndsAt = nowMs() + COUNTDOWN_SECONDS * 1000;
-  console.log(`[room:${room.id}] countdown started for ${COUNTDOWN_SECONDS}s (players=${room.players.size})`);
-  broadcast(room, { type: 'countdown', secondsLeft: COUNTDOWN_SECONDS, countdownEndsAt: room.countdownEndsAt });
+  const countdownSeconds = room.constants.COUNTDOWN_SECONDS;
+  room.countdownEndsAt = nowMs() + countdownSeconds * 1000;
+  // Race seed is chosen here with the boost key schedule (shown during countdown); the schedule's secret stays on the server
+  room.raceSeed = RACE_SEED != null ? RACE_SEED : Math.floor(Math.random() * 4294967296);
+  room.boostKeyRng = createSecretPrng(boostKeySecret(room.raceSeed));
+  rotateBoostKey(room, nowMs()); // first key is announced during countdown; rotation starts with the race
+  console.log(`[room:${room.id}] countdown started for ${countdownSeconds}s (players=${room.players.size})`);
+  broadcast(room, { type: 'countdown', secondsLeft: countdownSeconds, countdownEndsAt: room.countdownEndsAt, boostKey: room.boostKey });
   // Begin ticking so clients can render decreasing countdown time
   beginTick(room);
 }
 
+function raceStartPayload(room) {
+  return {
+    type: 'raceStart',
+    roomId: room.id,
+    raceId: room.raceId,
+    raceStartEpochMs: room.raceStartEpochMs,
+    players: Array.from(room.players.values()).map(p=>({ id: p.id, username: p.username, lane: p.lane })),
+    bots: publicBots(room),
+    raceSeed: room.raceSeed,
+    seeds: room.seeds,
+    boostKey: room.boostKey,
+    nextBoostKeyAt: room.nextBoostKeyAt,
+    constants: room.constants,
+  };
+}
+
 function startRace(room) {
+  if (rooms.get(room.id) !== room) return; // closed during the countdown
+  allocateLanes(room); // last allocation before the lanes freeze for the race
   room.phase = 'race';
   room.raceId = `${room.id}-${nowMs()}`;
   room.raceStartEpochMs = nowMs();
-  // seeding per player
+  // Per-race seed drives all race randomness; per-participant seeds are keyed by lane so
+  // the same seed + same boost inputs reproduce the same race regardless of client ids
+  if (room.raceSeed == null) room.raceSeed = RACE_SEED != null ? RACE_SEED : Math.floor(Math.random() * 4294967296);
   room.seeds = {};
-  room.players.forEach(p => { room.seeds[p.id] = Math.floor(Math.random()*1e9); });
-  allocateLanes(room);
+  room.players.forEach(p => { room.seeds[p.id] = deriveSeed(room.raceSeed, `lane:${p.lane}`); });
   // initialize runtime race state for players & bots
   room.players.forEach(p => {
-    p.progress = 0; // 0..1 lap completion
+    p.rng = createPrng(room.seeds[p.id]);
+    p.progress = 0; // 0..LAPS (whole number = laps completed)
+    p.lap = 1;
+    p.lapSplits = []; // [{ lap, atSeconds, lapSeconds }] per completed lap
+    p.checkpointSplits = []; // [{ lap, checkpoint, atSeconds }] per CHECKPOINT_FRACTIONS crossing
     p.finished = false;
     p.finishSeconds = null;
     p.boostDown = false;
@@ -182,36 +505,46 @@ function startRace(room) {
     p.currentSpeed = 0; // progress/sec, integrated toward target
     p.finishDecelStartMs = null; // when post-finish decel started
     p.fullyFinished = false; // true when deceleration complete
+    p.inputStats = createInputStats();
+    p.motionHistory = []; // recent ticks { t, dtSec, jitter, boostActive, progressBefore, speedBefore, lapSplitsBefore, checkpointSplitsBefore } for rewinds
+    p.flagged = false; // set at the finish by analyzeInput, kept until the next race
+    p.flagReasons = [];
   });
   room.bots.forEach(b => {
+    const rng = createPrng(deriveSeed(room.raceSeed, `lane:${b.lane}`));
+    b.rng = rng;
     b.progress = 0;
+    b.lap = 1;
+    b.lapSplits = [];
+    b.checkpointSplits = [];
     b.finished = false;
     b.finishSeconds = null;
     b.currentSpeed = 0;
-    // Per-bot variation so bots don't move identically - wider ranges for more personality
-    b.biasFactor = (0.85 + Math.random() * 0.30); // ~0.85..1.15 (wider from 0.92..1.08)
-    b.jitterScale = (0.5 + Math.random() * 1.0); // ~0.5..1.5 (wider from 0.7..1.3)
-    b.boostPreference = Math.random(); // 0-1, affects boost decisions
+    // Strategy bots race on human physics and boost rules; built-in profiles keep the bot tuning
+    b.strategy = BOT_STRATEGIES.has(b.profile) ? createStrategyInstance(BOT_STRATEGIES.get(b.profile)) : null;
+    b.boostDown = false;
+    b.boostSinceMs = null;
+    b.lastBoostEndMs = null;
+    // Per-bot variation within the profile's ranges so bots of one profile don't move identically
+    const profile = BOT_PROFILES[b.profile] || BOT_PROFILES.pacer;
+    b.biasFactor = profile.idleFactor[0] + rng() * (profile.idleFactor[1] - profile.idleFactor[0]);
+    b.jitterScale = profile.jitterScale[0] + rng() * (profile.jitterScale[1] - profile.jitterScale[0]);
+    b.rhythmOffsetMs = Math.floor(rng() * 1000); // phase of rhythm-based boosting
     b.finishDecelStartMs = null;
     b.fullyFinished = false;
   });
-  room.lastUpdateMs = room.raceStartEpochMs;
-  console.log(`[room:${room.id}] race start (raceId=${room.raceId}, players=${room.players.size}, bots=${room.bots.length})`);
-  broadcast(room, {
-    type: 'raceStart',
-    roomId: room.id,
-    raceId: room.raceId,
-    raceStartEpochMs: room.raceStartEpochMs,
-    players: Array.from(room.players.values()).map(p=>({ id: p.id, username: p.username, lane: p.lane })),
-    bots: room.bots,
-    seeds: room.seeds,
-    constants: room.constants,
-  });
+  room.simSteps = 0;
+  room.nextBoostKeyAt = room.raceStartEpochMs + room.constants.BOOST_KEY_INTERVAL_MS;
+  console.log(`[room:${room.id}] race start (raceId=${room.raceId}, seed=${room.raceSeed}, players=${room.players.size}, bots=${room.bots.length})`);
+  const raceStartMsg = raceStartPayload(room);
+  beginReplay(room, raceStartMsg);
+  broadcast(room, raceStartMsg);
   beginTick(room);
 }
 
 function endRace(room, results) {
   room.phase = 'results';
+  room.nextBoostKeyAt = null;
   // Reset all players to unready
   room.players.forEach(p => {
     p.ready = false;
@@ -232,15 +565,801 @@ function endRace(room, results) {
     }
   } catch {}
   console.log(`[room:${room.id}] race end (raceId=${room.raceId}) winner=${winnerId}`);
+  if (room.series && results && Array.isArray(results.results)) {
+    recordSeriesRace(room, results.results);
+    results.series = seriesPayload(room.series);
+  }
   broadcast(room, { type: 'raceEnd', results });
+  const anyFlagged = !!(results && Array.isArray(results.results) && results.results.some(r => r.flagged));
+  if (results && results.series && results.series.finished) broadcast(room, { type: 'seriesEnd', series: results.series });
+  if ((results && results.series) || anyFlagged) broadcast(room, roomStatePayload(room));
   stopTick(room);
+  finishReplay(room, results);
   // Persist race results if DB available
   if (dbPool && results && results.results && Array.isArray(results.results)) {
-    saveRaceResults(room, results).catch(err => console.error('[db] saveRaceResults error', err));
+    saveRaceResults(room, results, playerUids(room)).catch(err => console.error('[db] saveRaceResults error', err));
   }
   // Do not auto-reset; wait for host to exit or explicit command
 }
 
+// --- Series Mode ---
+// A series spans consecutive races in a room; standings follow the player's identity (see seriesStandingKey)
+function startSeries(room) {
+  const totalRaces = room.constants.SERIES_RACES;
+  room.series = totalRaces > 1 ? {
+    id: `${room.id}-series-${nowMs()}`,
+    totalRaces,
+    racesCompleted: 0,
+    finished: false,
+    standings: new Map(), // seriesStandingKey -> { id, username, points, wins, lastPlaces, races, totalSeconds }
+    tollPayer: null,
+  } : null;
+  if (room.series) console.log(`[room:${room.id}] series started (seriesId=${room.series.id}, races=${totalRaces})`);
+}
+
+// Players with a uid keep their row when they reconnect under a new clientId; others are keyed by clientId
+function seriesStandingKey(room, playerId) {
+  const player = room.players.get(playerId);
+  return player && player.uid ? `uid:${player.uid}` : `id:${playerId}`;
+}
+
+// Award points by human finish position; settle the toll payer after the last race
+function recordSeriesRace(room, results) {
+  const series = room.series;
+  if (!series || series.finished) return;
+  const humans = results.filter(r => !r.isBot).slice().sort((a,b)=>a.finishSeconds - b.finishSeconds);
+  const counted = new Set(); // an abandoned slot awaiting resume may share the uid; its best finish counts
+  humans.forEach((r, idx) => {
+    const key = seriesStandingKey(room, r.id);
+    if (counted.has(key)) return;
+    counted.add(key);
+    const row = series.standings.get(key) || { id: r.id, username: r.username, points: 0, wins: 0, lastPlaces: 0, races: 0, totalSeconds: 0 };
+    row.id = r.id; // latest clientId
+    row.username = r.username;
+    row.points += SERIES_POINTS[idx] || 0;
+    row.races += 1;
+    row.totalSeconds = +(row.totalSeconds + (r.finishSeconds || 0)).toFixed(3);
+    if (idx === 0) row.wins += 1;
+    if (humans.length > 1 && idx === humans.length - 1) row.lastPlaces += 1;
+    series.standings.set(key, row);
+  });
+  series.racesCompleted += 1;
+  if (series.racesCompleted >= series.totalRaces) {
+    series.finished = true;
+    // Toll payer: fewest points, then most last places, then slowest total time
+    const ranked = sortedSeriesStandings(series);
+    const payer = ranked[ranked.length - 1];
+    series.tollPayer = payer ? { id: payer.id, username: payer.username } : null;
+    console.log(`[room:${room.id}] series end (seriesId=${series.id}) tollPayer=${payer ? payer.username : 'none'}`);
+  }
+}
+
+function sortedSeriesStandings(series) {
+  return Array.from(series.standings.values()).sort((a,b) => {
+    if (b.points !== a.points) return b.points - a.points;
+    if (a.lastPlaces !== b.lastPlaces) return a.lastPlaces - b.lastPlaces;
+    return a.totalSeconds - b.totalSeconds;
+  });
+}
+
+function seriesPayload(series) {
+  if (!series) return null;
+  return {
+    id: series.id,
+    totalRaces: series.totalRaces,
+    racesCompleted: series.racesCompleted,
+    finished: series.finished,
+    standings: sortedSeriesStandings(series).map(r => ({ ...r })),
+    tollPayer: series.tollPayer,
+  };
+}
+
+// --- Protocol Negotiation ---
+// hello { version, minVersion?, features? }: version is the newest protocol the client speaks
+// (missing = 1, the original clients), minVersion the oldest (defaults to version). The highest
+// version both sides speak wins. Returns { version, features } or { reason, message }.
+function negotiateProtocol(msg) {
+  const clientMax = msg.version == null ? 1 : msg.version;
+  const clientMin = msg.minVersion == null ? clientMax : msg.minVersion;
+  if (!Number.isInteger(clientMax) || !Number.isInteger(clientMin) || clientMin < 1 || clientMin > clientMax) {
+    return { reason: 'badVersion', message: 'hello.version / hello.minVersion must be positive integers (minVersion <= version)' };
+  }
+  const version = Math.min(clientMax, PROTOCOL_VERSION);
+  if (version < Math.max(clientMin, MIN_PROTOCOL_VERSION)) {
+    return {
+      reason: 'unsupportedVersion',
+      message: `Client speaks protocol v${clientMin}-v${clientMax}, this server supports v${MIN_PROTOCOL_VERSION}-v${PROTOCOL_VERSION}. ${clientMax < MIN_PROTOCOL_VERSION ? 'Update or reload the client.' : 'The server is older than this client.'}`,
+    };
+  }
+  const wanted = Array.isArray(msg.features) ? msg.features : null;
+  const optIn = (f) => PROTOCOL_OPT_IN_FEATURES.includes(f);
+  const features = wanted
+    ? PROTOCOL_FEATURES.filter(f => wanted.includes(f) && !(optIn(f) && version < 2))
+    : PROTOCOL_FEATURES.filter(f => !optIn(f));
+  return { version, features };
+}
+
+// Protocol fields of welcome (negotiated version, what the server offers, what is enabled for this client)
+function protocolWelcome(protocol) {
+  return { protocolVersion: protocol.version, serverProtocolVersion: PROTOCOL_VERSION, features: PROTOCOL_FEATURES, enabled: protocol.features };
+}
+
+// Compatibility shims for broadcasts, keyed by the negotiated version they serve: (room, msg) -> msg
+const PROTOCOL_SHIMS = {
+  // v1: progress was the fraction of the (single-lap) race and there was no `lap`
+  1: (room, msg) => {
+    if (msg.type !== 'tick' || !msg.players) return msg;
+    const laps = room.constants.LAPS || 1;
+    const toV1 = ({ lap, ...entry }) => ({ ...entry, progress: Math.min(1, entry.progress / laps) });
+    return { ...msg, players: msg.players.map(toV1), bots: (msg.bots || []).map(toV1) };
+  },
+};
+
+// --- Compact Tick Encoding (opt-in feature `binaryTicks`) ---
+// A v2 tick as one binary frame (little-endian), decoded by mp-game.js and thin-client.js (keep in sync):
+//   u8 kind (1 = keyframe: every entry with every field, 2 = delta: changed entries/fields only)
+//   u8 flags (1 = boost key active, 2 = race entries active, 4 = boost key fields follow)
+//   f64 tServerMs
+//   [flags & 4] u8 boostKey char code, f64 nextBoostKeyAt (NaN = null)
+//   [flags & 2] u8 entry count, then per entry:
+//     u8 lane, u8 mask (1 progress, 2 speed, 4 lap, 8 finished follows in bit 16, 32 bot, 64 player id)
+//     [64] u32 player id, [1] u32 progress * 1e6, [2] u16 currentSpeed * 1e4, [4] u8 lap
+// Entries are keyed by lane. The codec state on the room is shared by all binary recipients: every
+// socket that got the last frame holds the same state, and a socket it has not seen yet (new join,
+// resume) gets a keyframe first. Roster changes and every COMPACT_TICK_KEYFRAME_INTERVAL frames
+// send a keyframe to everyone.
+const COMPACT_TICK_KEYFRAME = 1;
+const COMPACT_TICK_DELTA = 2;
+
+function quantizeTickEntry(entry, isBot) {
+  return {
+    lane: entry.lane,
+    id: isBot ? null : entry.id,
+    bot: isBot,
+    progress: Math.round(clamp(entry.progress || 0, 0, 4294) * 1e6),
+    speed: Math.round(clamp(entry.currentSpeed || 0, 0, 6.5535) * 1e4),
+    lap: clamp(entry.lap || 1, 0, 255),
+    finished: !!entry.finished,
+  };
+}
+
+function encodeCompactTick(msg, entries, baseline, keyframe, boostChanged) {
+  const hasBoost = msg.boostKey != null;
+  const hasEntries = !!msg.players;
+  const buf = Buffer.alloc(19 + 1 + entries.length * 13);
+  let o = 0;
+  o = buf.writeUInt8(keyframe ? COMPACT_TICK_KEYFRAME : COMPACT_TICK_DELTA, o);
+  o = buf.writeUInt8((hasBoost ? 1 : 0) | (hasEntries ? 2 : 0) | (hasBoost && (keyframe || boostChanged) ? 4 : 0), o);
+  o = buf.writeDoubleLE(msg.tServerMs, o);
+  if (hasBoost && (keyframe || boostChanged)) {
+    o = buf.writeUInt8(msg.boostKey.charCodeAt(0) & 0xff, o);
+    o = buf.writeDoubleLE(msg.nextBoostKeyAt == null ? NaN : msg.nextBoostKeyAt, o);
+  }
+  if (hasEntries) {
+    const countAt = o;
+    let count = 0;
+    o += 1;
+    entries.forEach(e => {
+      const prev = keyframe ? null : baseline.get(e.lane);
+      let mask = (e.bot ? 32 : 0) | (keyframe && !e.bot ? 64 : 0);
+      if (!prev || prev.progress !== e.progress) mask |= 1;
+      if (!prev || prev.speed !== e.speed) mask |= 2;
+      if (!prev || prev.lap !== e.lap) mask |= 4;
+      if (!prev || prev.finished !== e.finished) mask |= 8 | (e.finished ? 16 : 0);
+      if (!(mask & 15)) return; // unchanged since the last frame
+      o = buf.writeUInt8(e.lane, o);
+      o = buf.writeUInt8(mask, o);
+      if (mask & 64) o = buf.writeUInt32LE(e.id >>> 0, o);
+      if (mask & 1) o = buf.writeUInt32LE(e.progress, o);
+      if (mask & 2) o = buf.writeUInt16LE(e.speed, o);
+      if (mask & 4) o = buf.writeUInt8(e.lap, o);
+      count++;
+    });
+    buf.writeUInt8(count, countAt);
+  }
+  return buf.subarray(0, o);
+}
+
+// Frames for one tick broadcast: frameFor(ws) returns the delta, or a keyframe for sockets not yet in sync.
+// Both are encoded at most once per tick, then the codec baseline moves to this tick.
+function compactTickFrames(room, msg) {
+  const entries = [
+    ...(msg.players || []).map(p => quantizeTickEntry(p, false)),
+    ...(msg.bots || []).map(b => quantizeTickEntry(b, true)),
+  ].filter(e => Number.isInteger(e.lane) && e.lane >= 0 && e.lane <= 255);
+  const rosterKey = entries.map(e => `${e.bot ? 'bot' : e.id}@${e.lane}`).join(',');
+  const codec = room.tickCodec;
+  const forceKeyframe = !codec || codec.rosterKey !== rosterKey || codec.frames % COMPACT_TICK_KEYFRAME_INTERVAL === 0;
+  const boostChanged = !codec || codec.boostKey !== msg.boostKey || codec.nextBoostKeyAt !== msg.nextBoostKeyAt;
+  const baseline = codec ? codec.baseline : new Map();
+  const synced = forceKeyframe || !codec ? new WeakSet() : codec.synced;
+  let keyframe = null;
+  let delta = null;
+  room.tickCodec = {
+    baseline: new Map(entries.map(e => [e.lane, e])),
+    rosterKey,
+    boostKey: msg.boostKey,
+    nextBoostKeyAt: msg.nextBoostKeyAt,
+    frames: (codec && !forceKeyframe ? codec.frames : 0) + 1,
+    synced,
+  };
+  return {
+    frameFor(ws) {
+      if (synced.has(ws)) return delta || (delta = encodeCompactTick(msg, entries, baseline, false, boostChanged));
+      synced.add(ws);
+      return keyframe || (keyframe = encodeCompactTick(msg, entries, baseline, true, boostChanged));
+    },
+  };
+}
+
+// --- Private Rooms ---
+function createJoinCode() {
+  const bytes = crypto.randomBytes(JOIN_CODE_LENGTH);
+  return Array.from(bytes, b => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length]).join('');
+}
+
+// Join code for a room created by this hello: the host's password if given, else a generated code.
+// Returns { joinCode } or { reason } when the password is unusable.
+function privateRoomCode(msg) {
+  if (msg.joinCode == null || msg.joinCode === '') return { joinCode: createJoinCode() };
+  const password = typeof msg.joinCode === 'string' ? msg.joinCode.trim() : '';
+  if (password.length < JOIN_PASSWORD_MIN_LENGTH || password.length > JOIN_PASSWORD_MAX_LENGTH) return { reason: 'invalidJoinCode' };
+  return { joinCode: password };
+}
+
+// Constant-time comparison (hashing first evens out lengths)
+function joinCodeMatches(room, joinCode) {
+  if (typeof joinCode !== 'string' || !room.joinCode) return false;
+  const given = crypto.createHash('sha256').update(joinCode.trim()).digest();
+  const expected = crypto.createHash('sha256').update(room.joinCode).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// Stored with a private room's races and replays (races.room_code_hash) so REST reads can check the code
+// after the room is gone; null for public rooms
+function joinCodeHash(joinCode) {
+  return crypto.createHash('sha256').update(String(joinCode).trim()).digest('hex');
+}
+
+function roomCodeHash(room) {
+  return room.private && room.joinCode ? joinCodeHash(room.joinCode) : null;
+}
+
+// Explicit refusal instead of silently joining/creating; the socket is closed (4003)
+function rejectJoin(ws, roomId, reason, details = {}) {
+  console.log(`[room:${roomId}] join rejected (${reason})`);
+  ws.send(JSON.stringify({ type: 'joinRejected', roomId, reason, ...details }));
+  ws.close(4003, reason);
+}
+
+// Private-room fields added to welcome (members have presented the code, so they may share it)
+function privateWelcome(room) {
+  return room.private ? { private: true, joinCode: room.joinCode } : {};
+}
+
+// --- Player Identities ---
+// Humans are identified across sessions and renames by the uid their client sends in hello;
+// the DB maps it to players.id (player_ref). The uid itself never leaves the server.
+function normalizePlayerUid(uid) {
+  return typeof uid === 'string' && PLAYER_UID_PATTERN.test(uid) ? uid : null;
+}
+
+// clientId -> uid for the humans of a race (captured at race end, before anyone can leave)
+function playerUids(room) {
+  const uids = new Map();
+  room.players.forEach(p => { if (p.uid) uids.set(p.id, p.uid); });
+  return uids;
+}
+
+// Create or refresh a players row (latest display name); returns players.id
+async function upsertPlayerIdentity(queryable, uid, displayName) {
+  const { rows } = await queryable.query(`
+    INSERT INTO players (client_uid, display_name)
+    VALUES ($1, $2)
+    ON CONFLICT (client_uid) DO UPDATE SET display_name = EXCLUDED.display_name, last_seen_at = CURRENT_TIMESTAMP
+    RETURNING id
+  `, [uid, displayName]);
+  return rows[0].id;
+}
+
+// Fire-and-forget identity refresh on join/rename
+function touchPlayerIdentity(player) {
+  if (!dbPool || !player.uid) return;
+  upsertPlayerIdentity(dbPool, player.uid, player.username).catch(err => console.error('[db] player identity error', err));
+}
+
+// --- Skill Ratings ---
+// Multiplayer Elo: every pair of rated humans is one game (earlier finish wins, equal times draw).
+// Each player's pairwise (score - expected) is averaged over their N-1 opponents, so K bounds the
+// change per race regardless of field size. entries: [{ ref, rating, finishSeconds }] -> Map(ref -> new rating)
+function computeRatingChanges(entries) {
+  const updated = new Map();
+  if (entries.length < 2) return updated;
+  entries.forEach(a => {
+    let sum = 0;
+    entries.forEach(b => {
+      if (a === b) return;
+      const expected = 1 / (1 + Math.pow(10, (b.rating - a.rating) / 400));
+      const score = a.finishSeconds < b.finishSeconds ? 1 : a.finishSeconds > b.finishSeconds ? 0 : 0.5;
+      sum += score - expected;
+    });
+    updated.set(a.ref, +(a.rating + RATING_K_FACTOR * sum / (entries.length - 1)).toFixed(2));
+  });
+  return updated;
+}
+
+// Apply a race to the stored ratings (inside saveRaceResults' transaction); rated: [{ ref, finishSeconds }]
+async function updateRatings(client, raceDbId, rated) {
+  if (rated.length < 2) return;
+  const { rows } = await client.query('SELECT id, rating, rated_races FROM players WHERE id = ANY($1) FOR UPDATE', [rated.map(r => r.ref)]);
+  // Unrated players start at RATING_INITIAL (the column default only applies to fresh rows)
+  const current = new Map(rows.filter(row => row.rated_races > 0).map(row => [row.id, Number(row.rating)]));
+  const entries = rated.map(r => ({ ref: r.ref, rating: current.get(r.ref) ?? RATING_INITIAL, finishSeconds: r.finishSeconds }));
+  const updated = computeRatingChanges(entries);
+  for (const e of entries) {
+    const after = updated.get(e.ref);
+    await client.query('UPDATE players SET rating = $2, rated_races = rated_races + 1 WHERE id = $1', [e.ref, after]);
+    await client.query(`
+      INSERT INTO player_ratings (player_ref, race_id, rating_before, rating_after)
+      VALUES ($1,$2,$3,$4)
+    `, [e.ref, raceDbId, e.rating, after]);
+  }
+}
+
+// --- Host Moderation ---
+const MODERATION_REASON_MAX_LENGTH = 140;
+
+// Bans follow the persistent identity when the client sent one, else the display name.
+// Best effort: a client can always clear its localStorage identity.
+function banKey(uid, username) {
+  return uid ? `uid:${uid}` : `name:${String(username).toLowerCase()}`;
+}
+
+// A joining hello is refused if either its identity or its name was banned
+function isBanned(room, uid, username) {
+  return (!!uid && room.bans.has(banKey(uid, username))) || room.bans.has(banKey(null, username));
+}
+
+// Tell a player or spectator why they are being removed, then close their socket (4004).
+// The socket is detached first so its close does not start a resume grace period.
+function removeByHost(room, target, banned, reason) {
+  const ws = target.ws;
+  target.ws = null;
+  if (ws && ws.readyState === 1) {
+    ws.send(JSON.stringify({ type: 'kicked', roomId: room.id, banned, reason }));
+    ws.close(4004, banned ? 'banned' : 'kicked');
+  }
+  if (room.spectators.get(target.id) === target) {
+    room.spectators.delete(target.id);
+    broadcast(room, roomStatePayload(room));
+  } else {
+    removePlayer(room, target);
+  }
+}
+
+// kickPlayer / banPlayer / transferHost from the host; the host gets a hostAction reply
+function handleHostAction(room, host, msg) {
+  const playerId = Number(msg.playerId);
+  const target = room.players.get(playerId) || room.spectators.get(playerId) || null;
+  const isPlayer = !!target && room.players.get(playerId) === target;
+  let reason = null;
+  if (room.hostId !== host.id) reason = 'notHost';
+  else if (!target) reason = 'unknownPlayer';
+  else if (target === host) reason = 'self';
+  else if (msg.type === 'transferHost' && (!isPlayer || !target.ws)) reason = 'notConnectedPlayer';
+  if (!reason) {
+    if (msg.type === 'transferHost') {
+      room.hostId = target.id;
+      console.log(`[room:${room.id}] host transferred clientId=${host.id} -> clientId=${target.id}`);
+      broadcast(room, roomStatePayload(room));
+    } else {
+      const banned = msg.type === 'banPlayer';
+      const text = typeof msg.reason === 'string' ? msg.reason.trim().slice(0, MODERATION_REASON_MAX_LENGTH) || null : null;
+      if (banned) room.bans.add(banKey(target.uid, target.username));
+      console.log(`[room:${room.id}] ${banned ? 'ban' : 'kick'} clientId=${target.id} username=${target.username} by host${text ? ` (${text})` : ''}`);
+      removeByHost(room, target, banned, text);
+    }
+  }
+  host.ws.send(JSON.stringify({ type: 'hostAction', action: msg.type, playerId, accepted: !reason, ...(reason ? { reason } : {}) }));
+}
+
+// --- Chat & Emotes ---
+// Sliding-window limiter kept on the sender (player slots survive resumes, so limits do too).
+// Returns 0 when allowed (and records the send), else ms until the next send is allowed.
+function rateLimitWait(sender, bucket, max, windowMs, now) {
+  const sent = (sender.sentAt || (sender.sentAt = {}))[bucket] || [];
+  const recent = sent.filter(t => now - t < windowMs);
+  sender.sentAt[bucket] = recent;
+  if (recent.length >= max) return windowMs - (now - recent[0]);
+  recent.push(now);
+  return 0;
+}
+
+// chat from players and spectators; emote from players only (shown over their avatar in races).
+// Text is relayed as plain text: clients must render it with textContent, never as HTML.
+function handleChat(room, sender, isSpectator, msg) {
+  const now = nowMs();
+  const reject = (reason, extra = {}) => sender.ws.send(JSON.stringify({ type: 'chatRejected', kind: msg.type, reason, ...extra }));
+  if (msg.type === 'chat') {
+    const text = typeof msg.text === 'string' ? msg.text.replace(/[\u0000-\u001f\u007f]/g, ' ').trim() : '';
+    if (!text) return reject('empty');
+    if (text.length > CHAT_MAX_LENGTH) return reject('tooLong', { maxLength: CHAT_MAX_LENGTH });
+    const wait = rateLimitWait(sender, 'chat', CHAT_RATE_MAX, CHAT_RATE_WINDOW_MS, now);
+    if (wait) return reject('rateLimited', { retryAfterMs: wait });
+    broadcast(room, { type: 'chat', fromId: sender.id, username: sender.username, spectator: isSpectator, text, atMs: now });
+    return;
+  }
+  if (isSpectator) return reject('spectator');
+  const emote = typeof msg.emote === 'string' && Object.prototype.hasOwnProperty.call(EMOTES, msg.emote) ? msg.emote : null;
+  if (!emote) return reject('unknownEmote', { allowed: Object.keys(EMOTES) });
+  const wait = rateLimitWait(sender, 'emote', EMOTE_RATE_MAX, EMOTE_RATE_WINDOW_MS, now);
+  if (wait) return reject('rateLimited', { retryAfterMs: wait });
+  broadcast(room, { type: 'emote', fromId: sender.id, username: sender.username, lane: sender.lane, emote, symbol: EMOTES[emote], atMs: now });
+}
+
+// --- Input Analysis (anti-automation) ---
+// Raw boost inputs are timed on arrival at the server, so network jitter only makes a script look
+// more human. Signals: metronomic press intervals, reactions to key rotations faster than a human
+// round trip allows, and holds no keyboard produces (sub-AUTOMATION_MIN_HOLD_MS taps, presses
+// while already held). The flag is informational; the race result itself stands.
+function createInputStats() {
+  return { lastPressMs: null, pressIntervals: [], reactions: [], reactedToKeyAt: null, holds: [], overlappingPresses: 0 };
+}
+
+function pushInputSample(list, value) {
+  list.push(value);
+  if (list.length > AUTOMATION_MAX_SAMPLES) list.shift();
+}
+
+// Called for every pressBoost during a race, before the boost state is updated
+function recordBoostInput(room, player, down, key, now) {
+  const stats = player.inputStats;
+  if (!stats) return;
+  if (down) {
+    if (player.boostDown) stats.overlappingPresses++;
+    if (stats.lastPressMs != null) pushInputSample(stats.pressIntervals, now - stats.lastPressMs);
+    stats.lastPressMs = now;
+    // First correct press after each rotation = reaction time to the new key
+    if (room.boostKeyChangedAt != null && key === room.boostKey && stats.reactedToKeyAt !== room.boostKeyChangedAt) {
+      stats.reactedToKeyAt = room.boostKeyChangedAt;
+      pushInputSample(stats.reactions, now - room.boostKeyChangedAt);
+    }
+  } else if (player.boostDown && player.boostSinceMs != null) {
+    pushInputSample(stats.holds, now - player.boostSinceMs);
+  }
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Reasons this player's input looks automated ([] = looks human or too few samples)
+function analyzeInput(stats) {
+  const reasons = [];
+  if (!stats) return reasons;
+  const intervals = stats.pressIntervals;
+  if (intervals.length >= AUTOMATION_MIN_SAMPLES) {
+    const mean = intervals.reduce((sum, v) => sum + v, 0) / intervals.length;
+    const variance = intervals.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / intervals.length;
+    if (mean > 0 && Math.sqrt(variance) / mean < AUTOMATION_INTERVAL_CV) reasons.push('regularIntervals');
+  }
+  if (stats.reactions.length >= AUTOMATION_MIN_REACTIONS && median(stats.reactions) < AUTOMATION_MIN_REACTION_MS) {
+    reasons.push('instantReactions');
+  }
+  const shortHolds = stats.holds.filter(ms => ms < AUTOMATION_MIN_HOLD_MS).length;
+  if ((stats.holds.length >= AUTOMATION_MIN_SAMPLES && shortHolds / stats.holds.length >= AUTOMATION_SHORT_HOLD_SHARE)
+    || stats.overlappingPresses > AUTOMATION_MAX_OVERLAPPING_PRESSES) {
+    reasons.push('impossibleHolds');
+  }
+  return reasons;
+}
+
+// --- Clock Sync & Lag Compensation ---
+// The server sends `ping { serverMs }`; the client answers `pong { serverMs, clientMs }` right away.
+// RTT = arrival - serverMs; the client clock read clientMs half an RTT after serverMs, so
+// offset = clientMs - (serverMs + RTT / 2). Only pings the server actually sent are accepted.
+function createClockSync() {
+  return { pending: [], samples: [], offsetMs: null, rttMs: null };
+}
+
+function clockRtt(client) {
+  return client.clock && client.clock.rttMs != null ? client.clock.rttMs : null;
+}
+
+function sendClockPing(client) {
+  if (!client.ws || client.ws.readyState !== 1 || !client.protocol || !client.protocol.features.includes('clockSync')) return;
+  const clock = client.clock || (client.clock = createClockSync());
+  const serverMs = nowMs();
+  clock.pending.push(serverMs);
+  if (clock.pending.length > CLOCK_SYNC_MAX_PENDING) clock.pending.shift();
+  client.ws.send(JSON.stringify({ type: 'ping', serverMs }));
+}
+
+function handleClockPong(client, msg) {
+  const clock = client.clock;
+  const idx = clock ? clock.pending.indexOf(msg.serverMs) : -1;
+  if (idx < 0) return;
+  clock.pending.splice(idx, 1);
+  const rtt = nowMs() - msg.serverMs;
+  clock.samples.push({ rtt, offset: msg.clientMs - (msg.serverMs + rtt / 2) });
+  if (clock.samples.length > CLOCK_SYNC_SAMPLES) clock.samples.shift();
+  const best = clock.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  clock.offsetMs = Math.round(best.offset);
+  clock.rttMs = Math.round(median(clock.samples.map(sample => sample.rtt)));
+}
+
+// Ping every clockSync client and share the current estimates with the room
+function syncRoomClocks(room) {
+  const clients = [...room.players.values(), ...room.spectators.values()];
+  clients.forEach(sendClockPing);
+  if (clients.some(c => clockRtt(c) != null)) {
+    broadcast(room, {
+      type: 'latency',
+      players: Array.from(room.players.values()).map(p => ({ id: p.id, rttMs: clockRtt(p) })),
+      spectators: Array.from(room.spectators.values()).map(s => ({ id: s.id, rttMs: clockRtt(s) })),
+    });
+  }
+}
+
+// Server time at which a pressBoost happened: atClientMs on the server clock, never before RTT/2 +
+// BOOST_REWIND_JITTER_MS ago (capped at BOOST_MAX_REWIND_MS), the race start, the last key rotation or this
+// player's previous input. The RTT is measured by the server, so a client claiming an earlier atClientMs
+// gains no more than its real latency.
+function compensatedInputTime(room, player, atClientMs, now) {
+  const offset = player.clock ? player.clock.offsetMs : null;
+  const rtt = clockRtt(player);
+  if (offset == null || rtt == null || typeof atClientMs !== 'number') return now;
+  const maxRewindMs = Math.min(BOOST_MAX_REWIND_MS, rtt / 2 + BOOST_REWIND_JITTER_MS);
+  const floor = Math.max(now - maxRewindMs, room.raceStartEpochMs, room.boostKeyChangedAt || 0, player.lastBoostStartMs || 0, player.lastBoostEndMs || 0);
+  return Math.round(clamp(atClientMs - offset, floor, now));
+}
+
+// One tick of a racing player's motion toward the boost/idle target speed (shared by updateRace and rewinds)
+function stepPlayerMotion(c, p, dtSec, boostActive, jitter) {
+  const baseSpeed = (1 / c.MAX_EXECUTION_TIME) * 1.2; // progress per second (20% faster)
+  const tSpd = baseSpeed * (boostActive ? c.BOOST_FACTOR : c.IDLE_SPEED_FACTOR);
+  const delta = tSpd - (p.currentSpeed || 0);
+  const step = delta > 0 ? Math.min(delta, c.ACCELERATION_RATE * dtSec) : Math.max(delta, -c.DECELERATION_RATE * dtSec);
+  p.currentSpeed = (p.currentSpeed || 0) + step;
+  p.progress += p.currentSpeed * jitter * dtSec;
+}
+
+// Replay the player's ticks that ended after atMs with the boost switched on (down) or off. Ticks keep
+// their recorded dt and jitter, so no PRNG draws are repeated. Splits recorded in the window are dropped
+// and re-derived, and a finish crossed in the rewound window is recorded (later ticks decelerate).
+function rewindBoost(room, p, atMs, down) {
+  const history = p.motionHistory || [];
+  const first = history.findIndex(h => h.t > atMs);
+  if (first < 0) return;
+  const c = room.constants;
+  p.progress = history[first].progressBefore;
+  p.currentSpeed = history[first].speedBefore;
+  p.lapSplits.length = history[first].lapSplitsBefore;
+  p.checkpointSplits.length = history[first].checkpointSplitsBefore;
+  for (let i = first; i < history.length; i++) {
+    const h = history[i];
+    const stepSpan = { startMs: h.t - h.dtSec * 1000, endMs: h.t, progressBefore: p.progress };
+    h.boostActive = down && (h.t - atMs) <= c.BOOST_MAX_DURATION_MS;
+    h.progressBefore = p.progress;
+    h.speedBefore = p.currentSpeed;
+    h.lapSplitsBefore = p.lapSplits.length;
+    h.checkpointSplitsBefore = p.checkpointSplits.length;
+    if (p.finished) {
+      // Same deceleration as stepRace after the finish, with the tick's recorded jitter
+      const decelRatePerSec = p.finishSpeed / (c.FINISH_DECELERATION_DURATION_MS / 1000);
+      p.currentSpeed = Math.max(0, p.currentSpeed - decelRatePerSec * h.dtSec);
+      p.progress += p.currentSpeed * h.jitter * h.dtSec;
+      if (p.currentSpeed <= 0) p.fullyFinished = true;
+      continue;
+    }
+    stepPlayerMotion(c, p, h.dtSec, h.boostActive, h.jitter);
+    recordCheckpointSplits(room, p, stepSpan);
+    recordLapSplits(room, p, stepSpan);
+    if (p.progress >= c.LAPS) {
+      p.finished = true;
+      p.finishSeconds = (crossingTimeMs(stepSpan, p.progress, c.LAPS) - room.raceStartEpochMs) / 1000;
+      p.finishDecelStartMs = h.t;
+      p.finishSpeed = p.currentSpeed;
+    }
+  }
+  if (p.finished) p.motionHistory = []; // stepRace keeps no history after the finish
+}
+
+// --- Message Schemas ---
+// Declarative shape of every client->server message: field -> { type, required?, maxLength?, maxItems?, items? }.
+// Types: string, boolean, integer, number, object, array. Unlisted fields are ignored; value checks
+// (rule ranges, emote names, chat length) stay with the handlers and their own reply messages.
+const MESSAGE_SCHEMAS = {
+  hello: {
+    roomId: { type: 'string', maxLength: 64 },
+    username: { type: 'string', maxLength: 40 },
+    version: { type: 'integer' },
+    minVersion: { type: 'integer' },
+    features: { type: 'array', items: 'string', maxItems: 32 },
+    playerUid: { type: 'string', maxLength: 64 },
+    resumeToken: { type: 'string', maxLength: 64 },
+    spectate: { type: 'boolean' },
+    private: { type: 'boolean' },
+    joinCode: { type: 'string', maxLength: JOIN_PASSWORD_MAX_LENGTH },
+  },
+  chat: { text: { type: 'string', required: true } },
+  emote: { emote: { type: 'string', required: true, maxLength: 32 } },
+  setReady: { ready: { type: 'boolean', required: true } },
+  startGame: {},
+  pressBoost: {
+    down: { type: 'boolean', required: true },
+    key: { type: 'string', maxLength: 8 },
+    atClientMs: { type: 'number' },
+  },
+  configureRoom: { rules: { type: 'object', required: true } },
+  kickPlayer: { playerId: { type: 'integer', required: true }, reason: { type: 'string' } },
+  banPlayer: { playerId: { type: 'integer', required: true }, reason: { type: 'string' } },
+  transferHost: { playerId: { type: 'integer', required: true } },
+  returnToLobby: {},
+  resetGame: {},
+  rename: { username: { type: 'string', required: true, maxLength: 40 } },
+  pong: { serverMs: { type: 'number', required: true }, clientMs: { type: 'number', required: true } },
+};
+
+function schemaTypeMatches(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    default: return false;
+  }
+}
+
+// Parse and check one client frame; returns { msg } or { error: { code, messageType, details } }
+function parseClientMessage(buf) {
+  const bytes = buf.length;
+  if (bytes > MAX_MESSAGE_BYTES) return { error: { code: 'payloadTooLarge', messageType: null, details: { bytes, maxBytes: MAX_MESSAGE_BYTES } } };
+  let msg;
+  try { msg = JSON.parse(buf.toString()); } catch (err) {
+    return { error: { code: 'badJson', messageType: null, details: { message: err.message } } };
+  }
+  if (!schemaTypeMatches('object', msg) || typeof msg.type !== 'string') {
+    return { error: { code: 'badMessage', messageType: null, details: { message: 'expected a JSON object with a string `type`' } } };
+  }
+  const schema = Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, msg.type) ? MESSAGE_SCHEMAS[msg.type] : null;
+  if (!schema) return { error: { code: 'unknownType', messageType: msg.type, details: { allowed: Object.keys(MESSAGE_SCHEMAS) } } };
+  const errors = [];
+  Object.keys(schema).forEach(field => {
+    const spec = schema[field];
+    const value = msg[field];
+    if (value === undefined || value === null) {
+      if (spec.required) errors.push({ field, reason: 'missing', expected: spec.type });
+      return;
+    }
+    if (!schemaTypeMatches(spec.type, value)) { errors.push({ field, reason: 'wrongType', expected: spec.type }); return; }
+    if (spec.maxLength != null && value.length > spec.maxLength) { errors.push({ field, reason: 'tooLong', maxLength: spec.maxLength }); return; }
+    if (spec.type === 'array') {
+      if (value.length > spec.maxItems) { errors.push({ field, reason: 'tooMany', maxItems: spec.maxItems }); return; }
+      if (!value.every(v => schemaTypeMatches(spec.items, v))) errors.push({ field, reason: 'wrongItemType', expected: spec.items });
+    }
+  });
+  if (errors.length) return { error: { code: 'invalidFields', messageType: msg.type, details: { errors } } };
+  return { msg };
+}
+
+function sendError(ws, error) {
+  if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'error', ...error }));
+}
+
+// --- Session Resume ---
+function createResumeToken() { return crypto.randomBytes(16).toString('hex'); }
+
+// A human's lane-holding slot in room.players (lanes come from allocateLanes)
+function createPlayerSlot(id, uid, username, ws, protocol, clock) {
+  return { id, uid, username, ready: false, lane: null, ws, joinMs: nowMs(), lastResult: null, resumeToken: createResumeToken(), resumeTimer: null, disconnectedAtMs: null, protocol, clock };
+}
+
+// Keep a disconnected player's slot (lane, race progress, host status) for RESUME_GRACE_MS
+function markDisconnected(room, player) {
+  player.ws = null;
+  player.disconnectedAtMs = nowMs();
+  if (player.boostDown) {
+    player.boostDown = false;
+    player.lastBoostEndMs = player.disconnectedAtMs;
+  }
+  clearTimeout(player.resumeTimer);
+  player.resumeTimer = setTimeout(() => removePlayer(room, player), RESUME_GRACE_MS);
+  console.log(`[room:${room.id}] disconnect clientId=${player.id} username=${player.username} (resumable for ${RESUME_GRACE_MS}ms)`);
+  broadcast(room, roomStatePayload(room));
+}
+
+// Attach a new socket to a disconnected (or stale) player slot; returns null if no player holds the token
+function resumePlayer(room, token, ws) {
+  const player = Array.from(room.players.values()).find(p => p.resumeToken && p.resumeToken === token);
+  if (!player) return null;
+  clearTimeout(player.resumeTimer);
+  player.resumeTimer = null;
+  const staleWs = player.ws;
+  player.ws = ws;
+  player.disconnectedAtMs = null;
+  if (staleWs && staleWs !== ws && staleWs.readyState === 1) {
+    staleWs.close(4001, 'session resumed elsewhere');
+  }
+  return player;
+}
+
+// Final removal: free the slot, hand over host and return an empty room to the lobby
+function removePlayer(room, player) {
+  if (room.players.get(player.id) !== player) return;
+  clearTimeout(player.resumeTimer);
+  console.log(`[room:${room.id}] remove clientId=${player.id} username=${player.username}`);
+  room.players.delete(player.id);
+  room.readySet.delete(player.id);
+  const wasHost = room.hostId === player.id;
+  if (wasHost) {
+    const remaining = Array.from(room.players.values());
+    const next = remaining.find(p => p.ws) || remaining[0];
+    room.hostId = next ? next.id : null;
+  }
+  // Mid-race lanes stay put so other participants keep their state
+  if (room.phase !== 'race') allocateLanes(room);
+  broadcast(room, roomStatePayload(room));
+  // Dynamic end: if no players remain, end game and return to lobby
+  if (room.players.size === 0) {
+    stopTick(room);
+    room.phase = 'lobby';
+    room.readySet.clear();
+    room.countdownEndsAt = null;
+    room.raceStartEpochMs = null;
+    broadcast(room, roomStatePayload(room));
+  }
+  // If in results phase, wait until host exits before resetting to lobby
+  else if (room.phase === 'results' && wasHost) {
+    stopTick(room);
+    room.phase = 'lobby';
+    room.readySet.clear();
+    room.countdownEndsAt = null;
+    room.raceStartEpochMs = null;
+    broadcast(room, roomStatePayload(room));
+  }
+  promoteWaitingSpectators(room);
+  closeRoomIfEmpty(room);
+}
+
+// Forget a room nobody is in (players within their resume grace still count), so GET /api/rooms
+// only lists rooms someone can meet others in; the next hello with its id creates it afresh
+function closeRoomIfEmpty(room) {
+  if (room.players.size || room.spectators.size || rooms.get(room.id) !== room) return;
+  stopTick(room);
+  rooms.delete(room.id);
+  console.log(`[room:${room.id}] closed (empty)`);
+}
+
+// Spectators the server seated because the room was full or racing (not those that asked to watch)
+// take free lanes, oldest first, while the room is in the lobby. Their socket moves to the new slot
+// (see promotedTo in the connection handler) and gets a fresh welcome with a resumeToken.
+function promoteWaitingSpectators(room) {
+  if (room.phase !== 'lobby') return;
+  const waiting = Array.from(room.spectators.values()).filter(s => s.wantsLane && s.ws).sort((a, b) => a.joinMs - b.joinMs);
+  let promoted = 0;
+  for (const s of waiting) {
+    if (room.players.size >= roomCapacity(room)) break;
+    const player = createPlayerSlot(s.id, s.uid, s.username, s.ws, s.protocol, s.clock);
+    room.spectators.delete(s.id);
+    s.promotedTo = player;
+    room.players.set(player.id, player);
+    if (!room.hostId) room.hostId = player.id;
+    touchPlayerIdentity(player);
+    console.log(`[room:${room.id}] spectator promoted clientId=${player.id} username=${player.username}`);
+    player.ws.send(JSON.stringify({ type: 'welcome', clientId: player.id, roomId: room.id, hostId: room.hostId, resumeToken: player.resumeToken, promoted: true, ...privateWelcome(room), ...protocolWelcome(player.protocol) }));
+    promoted++;
+  }
+  if (promoted) {
+    allocateLanes(room);
+    broadcast(room, roomStatePayload(room));
+  }
+}
+
 function beginTick(room) {
   stopTick(room);
   const interval = Math.round(1000 / TICK_RATE_HZ);
@@ -248,11 +1367,16 @@ function beginTick(room) {
     if (room.phase === 'race') {
       updateRace(room);
     }
-    // Tick payload includes server time + progress snapshot during race
-    let payload = { type: 'tick', tServerMs: nowMs() };
+    // Tick payload includes server time + progress snapshot during race (stamped with the sim clock it describes)
+    let payload = { type: 'tick', tServerMs: room.phase === 'race' ? raceSimTimeMs(room) : nowMs() };
+    if (room.phase === 'countdown' || room.phase === 'race') {
+      payload.boostKey = room.boostKey;
+      payload.nextBoostKeyAt = room.nextBoostKeyAt;
+    }
     if (room.phase === 'race') {
-      payload.players = Array.from(room.players.values()).map(p=>({ id: p.id, lane: p.lane, progress: p.progress, finished: p.finished, currentSpeed: p.currentSpeed || 0 }));
-      payload.bots = room.bots.map(b=>({ lane: b.lane, progress: b.progress, finished: b.finished, currentSpeed: b.currentSpeed || 0 }));
+      payload.players = Array.from(room.players.values()).map(p=>({ id: p.id, lane: p.lane, progress: p.progress, lap: p.lap, finished: p.finished, currentSpeed: p.currentSpeed || 0 }));
+      payload.bots = room.bots.map(b=>({ lane: b.lane, progress: b.progress, lap: b.lap, finished: b.finished, currentSpeed: b.currentSpeed || 0 }));
+      recordReplaySnapshot(room, payload);
     }
     broadcast(room, payload);
   }, interval);
@@ -264,6 +1388,64 @@ function stopTick(room) {
   }
 }
 
+// --- Race Replays ---
+// A replay is the raceStart payload, the timestamped pressBoost inputs and periodic
+// progress snapshots; times are ms since raceStartEpochMs.
+function roundReplayNum(v) { return Math.round((v || 0) * 1e5) / 1e5; }
+
+function beginReplay(room, raceStartMsg) {
+  room.replay = {
+    version: 1,
+    raceId: room.raceId,
+    roomId: room.id,
+    snapshotIntervalMs: REPLAY_SNAPSHOT_INTERVAL_MS,
+    raceStart: JSON.parse(JSON.stringify(raceStartMsg)), // detach from live bot objects
+    inputs: [],
+    snapshots: [],
+    results: null,
+    lastSnapshotMs: null,
+  };
+}
+
+function recordReplayInput(room, player, input) {
+  if (!room.replay) return;
+  room.replay.inputs.push({ t: nowMs() - room.raceStartEpochMs, playerId: player.id, ...input });
+}
+
+function recordReplaySnapshot(room, tickPayload, force = false) {
+  const replay = room.replay;
+  if (!replay) return;
+  const t = tickPayload.tServerMs - room.raceStartEpochMs;
+  if (!force && replay.lastSnapshotMs != null && t - replay.lastSnapshotMs < REPLAY_SNAPSHOT_INTERVAL_MS) return;
+  replay.lastSnapshotMs = t;
+  replay.snapshots.push({
+    t,
+    players: (tickPayload.players || []).map(p=>({ id: p.id, lane: p.lane, progress: roundReplayNum(p.progress), currentSpeed: roundReplayNum(p.currentSpeed), finished: !!p.finished })),
+    bots: (tickPayload.bots || []).map(b=>({ lane: b.lane, progress: roundReplayNum(b.progress), currentSpeed: roundReplayNum(b.currentSpeed), finished: !!b.finished })),
+  });
+}
+
+function finishReplay(room, results) {
+  const replay = room.replay;
+  if (!replay) return;
+  // Final snapshot so playback ends exactly where the race stopped
+  recordReplaySnapshot(room, {
+    tServerMs: nowMs(),
+    players: Array.from(room.players.values()).map(p=>({ id: p.id, lane: p.lane, progress: p.progress, finished: p.finished, currentSpeed: p.currentSpeed || 0 })),
+    bots: room.bots.map(b=>({ lane: b.lane, progress: b.progress, finished: b.finished, currentSpeed: b.currentSpeed || 0 })),
+  }, true);
+  room.replay = null;
+  delete replay.lastSnapshotMs;
+  replay.results = results || null;
+  replays.set(replay.raceId, { replay, codeHash: roomCodeHash(room) });
+  while (replays.size > REPLAY_MAX_STORED) {
+    replays.delete(replays.keys().next().value);
+  }
+  if (dbPool) {
+    saveRaceReplay(replay, roomCodeHash(room)).catch(err => console.error('[db] saveRaceReplay error', err));
+  }
+}
+
 // --- Server Setup ---
 const app = express();
 
@@ -291,13 +1473,67 @@ app.get('/api/health', async (req, res) => {
   res.json(health);
 });
 
+// --- REST Access ---
+// Player holding a live session in the room, proven by the resumeToken from its welcome
+// (Authorization: Bearer <resumeToken>); disconnected players count until their resume grace ends
+function sessionPlayer(req, roomId) {
+  const match = /^Bearer\s+(\S+)$/i.exec(String(req.get('authorization') || ''));
+  const room = rooms.get(roomId);
+  if (!match || !room) return null;
+  return Array.from(room.players.values()).find(p => p.resumeToken && p.resumeToken === match[1]) || null;
+}
+
+// Persistent identity of the caller from X-Player-Uid (the playerUid the client sends in hello; never broadcast,
+// so it proves the identity across sessions and restarts), else from the live session. { id, display_name } or null.
+async function requestIdentity(req, session) {
+  const uid = normalizePlayerUid(req.get('x-player-uid')) || (session && session.uid) || null;
+  if (!dbPool || !uid) return null;
+  const { rows } = await dbPool.query('SELECT id, display_name FROM players WHERE client_uid = $1', [uid]);
+  return rows[0] || null;
+}
+
+// Live session of the room's current host
+function isRoomHost(session, roomId) {
+  const live = rooms.get(roomId);
+  return !!(session && live && live.hostId === session.id);
+}
+
+// Private room history is readable with the room's join code (?code= or X-Join-Code) or a live session
+// in the room. Returns the code hash to filter races by (see PRIVATE_RACE_FILTER_SQL), or null after
+// replying 403 when the room is live, private and the request can't prove access.
+function roomReadAccess(req, res, roomId) {
+  const live = rooms.get(roomId);
+  const given = req.query.code != null ? req.query.code : req.get('x-join-code');
+  const codeHash = live && live.private && sessionPlayer(req, roomId) ? roomCodeHash(live)
+    : (typeof given === 'string' && given.trim() ? joinCodeHash(given) : null);
+  if (live && live.private && codeHash !== roomCodeHash(live)) {
+    res.status(403).json({ error: 'private_room' });
+    return null;
+  }
+  return { codeHash };
+}
+
+// Races of private rooms only match the caller's code hash (bind it as the given parameter; needs races aliased r).
+// Room-agnostic boards keep their races but hide the room name (PRIVATE_ROOM_ID_SQL).
+const PRIVATE_RACE_FILTER_SQL = (param) => `(r.room_code_hash IS NULL OR r.room_code_hash = ${param})`;
+const PRIVATE_ROOM_ID_SQL = 'CASE WHEN r.room_code_hash IS NULL THEN r.room_id END AS room_id';
+
 // Leaderboard APIs (DB optional)
+// Humans are grouped by identity (players.id, exposed as player_ref) and shown under their latest
+// display name; rows saved without an identity fall back to the username (needs LEFT JOIN players pl)
+const PARTICIPANT_KEY_SQL = `COALESCE('p:' || rp.player_ref, 'u:' || rp.username)`;
+const PARTICIPANT_NAME_SQL = 'COALESCE(pl.display_name, rp.username)';
+const WINNER_KEY_SQL = `COALESCE('p:' || r.winner_player_ref, 'u:' || r.winner_username)`;
+const WINNER_NAME_SQL = 'COALESCE(pl.display_name, r.winner_username)';
+
 app.get('/api/leaderboard/fastest', async (req, res) => {
   if (!dbPool) return res.json({ items: [] });
   try {
     const { rows } = await dbPool.query(`
-      SELECT r.winner_username AS username, r.winner_time_seconds AS time, r.race_timestamp AS ts, r.room_id
+      SELECT ${WINNER_NAME_SQL} AS username, r.winner_player_ref AS player_ref, r.winner_time_seconds AS time, r.race_timestamp AS ts, ${PRIVATE_ROOM_ID_SQL}
       FROM races r
+      LEFT JOIN players pl ON pl.id = r.winner_player_ref
+      WHERE r.winner_excluded = FALSE
       ORDER BY r.winner_time_seconds ASC
       LIMIT 10
     `);
@@ -312,9 +1548,12 @@ app.get('/api/leaderboard/top', async (req, res) => {
   if (!dbPool) return res.json({ items: [] });
   try {
     const { rows } = await dbPool.query(`
-      SELECT winner_username AS username, COUNT(*) AS wins, MIN(winner_time_seconds) AS best_time
-      FROM races
-      GROUP BY winner_username
+      SELECT MAX(${WINNER_NAME_SQL}) AS username, MAX(r.winner_player_ref) AS player_ref,
+             COUNT(*) AS wins, MIN(r.winner_time_seconds) AS best_time
+      FROM races r
+      LEFT JOIN players pl ON pl.id = r.winner_player_ref
+      WHERE r.winner_excluded = FALSE
+      GROUP BY ${WINNER_KEY_SQL}
       ORDER BY wins DESC, best_time ASC
       LIMIT 10
     `);
@@ -325,22 +1564,90 @@ app.get('/api/leaderboard/top', async (req, res) => {
   }
 });
 
+// Player history for one identity (including history from before a rename). ?player=<player_ref> picks it;
+// otherwise the display name must belong to exactly one identity: several return no items but
+// `identities` to choose from, none falls back to rows saved without an identity under that name.
+// ?match=name is the legacy lookup that merges every identity and row with the name.
+// rating: current skill rating and trend of the identity, null if unrated (or for name lookups)
 app.get('/api/leaderboard/player/:username', async (req, res) => {
   const username = String(req.params.username || '').trim();
-  if (!dbPool || !username) return res.json({ items: [] });
+  if (!dbPool || !username) return res.json({ items: [], rating: null });
+  let playerRef = Number(req.query.player);
+  const legacy = req.query.match === 'name';
   try {
+    if (!legacy && !(Number.isInteger(playerRef) && playerRef > 0)) {
+      const identities = await dbPool.query(`
+        SELECT pl.id AS player_ref, pl.display_name AS username, pl.last_seen_at AS ts, pl.rated_races AS rated_races
+        FROM players pl
+        WHERE pl.display_name = $1
+        ORDER BY pl.last_seen_at DESC
+        LIMIT 20
+      `, [username]);
+      if (identities.rows.length > 1) return res.json({ items: [], rating: null, player_ref: null, identities: identities.rows });
+      playerRef = identities.rows.length ? identities.rows[0].player_ref : null;
+    }
+    const byRef = !legacy && playerRef != null;
+    // Without an identity only rows saved without one can be attributed to the name
+    const where = legacy ? '(pl.display_name = $1 OR (rp.player_ref IS NULL AND rp.username = $1))'
+      : byRef ? 'rp.player_ref = $1' : '(rp.player_ref IS NULL AND rp.username = $1)';
     const { rows } = await dbPool.query(`
       SELECT r.race_timestamp AS ts, rp.final_position AS position, rp.finish_time_seconds AS time,
-             rp.delta_from_winner_seconds AS delta, r.total_participants AS total
+             rp.delta_from_winner_seconds AS delta, r.total_participants AS total, rp.automation_flagged AS flagged,
+             COALESCE((
+               SELECT json_agg(json_build_object('lap', s.lap, 'checkpoint', s.checkpoint::float, 'time', s.split_time_seconds::float)
+                               ORDER BY s.lap, s.checkpoint)
+               FROM race_participant_splits s
+               WHERE s.participant_id = rp.id
+             ), '[]'::json) AS splits
       FROM race_participants rp
       JOIN races r ON rp.race_id = r.id
-      WHERE rp.username = $1 AND rp.is_bot = false
+      LEFT JOIN players pl ON pl.id = rp.player_ref
+      WHERE ${where} AND rp.is_bot = false
       ORDER BY r.race_timestamp DESC
       LIMIT 20
-    `, [username]);
-    res.json({ items: rows });
+    `, [byRef ? playerRef : username]);
+    if (!byRef) return res.json({ items: rows, rating: null, player_ref: null });
+    const ratingRes = await dbPool.query(`
+      SELECT pl.id AS player_ref, pl.rating, pl.rated_races AS races,
+             COALESCE((
+               SELECT json_agg(json_build_object('ts', t.created_at, 'race_id', t.race_id, 'rating', t.rating_after, 'delta', t.rating_after - t.rating_before)
+                               ORDER BY t.created_at)
+               FROM (
+                 SELECT pr.created_at, r.race_id, pr.rating_before, pr.rating_after
+                 FROM player_ratings pr
+                 JOIN races r ON r.id = pr.race_id
+                 WHERE pr.player_ref = pl.id
+                 ORDER BY pr.created_at DESC
+                 LIMIT 20
+               ) t
+             ), '[]'::json) AS trend
+      FROM players pl
+      WHERE pl.id = $1 AND pl.rated_races > 0
+    `, [playerRef]);
+    res.json({ items: rows, rating: ratingRes.rows[0] || null, player_ref: playerRef });
   } catch (err) {
     console.error('[api] player error', err);
+    res.json({ items: [], rating: null });
+  }
+});
+
+// Skill ratings (identified humans with at least one rated race)
+app.get('/api/leaderboard/ratings', async (req, res) => {
+  if (!dbPool) return res.json({ items: [] });
+  try {
+    const { rows } = await dbPool.query(`
+      SELECT pl.id AS player_ref, pl.display_name AS username, pl.rating, pl.rated_races AS races,
+             (SELECT pr.rating_after - pr.rating_before FROM player_ratings pr
+              WHERE pr.player_ref = pl.id ORDER BY pr.created_at DESC LIMIT 1) AS last_delta,
+             pl.last_seen_at AS ts
+      FROM players pl
+      WHERE pl.rated_races > 0
+      ORDER BY pl.rating DESC, pl.rated_races DESC
+      LIMIT 20
+    `);
+    res.json({ items: rows });
+  } catch (err) {
+    console.error('[api] ratings error', err);
     res.json({ items: [] });
   }
 });
@@ -350,19 +1657,23 @@ app.get('/api/leaderboard/last-humans', async (req, res) => {
   if (!dbPool) return res.json({ items: [] });
   try {
     const room = (req.query.room && String(req.query.room).trim()) || null;
+    const access = room ? roomReadAccess(req, res, room) : null;
+    if (room && !access) return;
     const sql = `
-      SELECT DISTINCT ON (rp.username)
-        rp.username,
+      SELECT DISTINCT ON (${PARTICIPANT_KEY_SQL})
+        ${PARTICIPANT_NAME_SQL} AS username,
+        rp.player_ref,
         rp.human_finish_time_seconds AS time,
         r.race_timestamp AS ts,
-        r.room_id
+        ${room ? 'r.room_id' : PRIVATE_ROOM_ID_SQL}
       FROM race_participants rp
       JOIN races r ON r.id = rp.race_id
-      WHERE rp.is_last_human = TRUE AND rp.is_bot = FALSE
-      ${room ? 'AND r.room_id = $1' : ''}
-      ORDER BY rp.username, r.race_timestamp DESC
+      LEFT JOIN players pl ON pl.id = rp.player_ref
+      WHERE rp.is_last_human = TRUE AND rp.is_bot = FALSE AND rp.leaderboard_excluded = FALSE
+      ${room ? `AND r.room_id = $1 AND ${PRIVATE_RACE_FILTER_SQL('$2')}` : ''}
+      ORDER BY ${PARTICIPANT_KEY_SQL}, r.race_timestamp DESC
     `;
-    const params = room ? [room] : [];
+    const params = room ? [room, access.codeHash] : [];
     const { rows } = await dbPool.query(sql, params);
     res.json({ items: rows });
   } catch (err) {
@@ -376,58 +1687,69 @@ app.get('/api/leaderboard/room-summary', async (req, res) => {
   if (!dbPool) return res.json({ items: [] });
   const room = (req.query.room && String(req.query.room).trim()) || null;
   if (!room) return res.json({ items: [] });
+  const access = roomReadAccess(req, res, room);
+  if (!access) return;
   try {
-    // Wins summary per username in room
+    // Wins summary per player in room
     const winsQuery = `
-      SELECT rp.username AS username,
+      SELECT ${PARTICIPANT_KEY_SQL} AS player_key,
+             MAX(${PARTICIPANT_NAME_SQL}) AS username,
+             MAX(rp.player_ref) AS player_ref,
              COUNT(*) AS wins,
              MAX(r.race_timestamp) AS last_win_ts,
              (ARRAY_AGG(rp.finish_time_seconds ORDER BY r.race_timestamp DESC))[1] AS last_win_seconds
       FROM races r
       JOIN race_participants rp ON rp.race_id = r.id
-      WHERE r.room_id = $1 AND rp.is_bot = FALSE AND rp.final_position = 1
-      GROUP BY rp.username
+      LEFT JOIN players pl ON pl.id = rp.player_ref
+      WHERE r.room_id = $1 AND ${PRIVATE_RACE_FILTER_SQL('$2')} AND rp.is_bot = FALSE AND rp.final_position = 1 AND rp.leaderboard_excluded = FALSE
+      GROUP BY ${PARTICIPANT_KEY_SQL}
     `;
-    const winsRes = await dbPool.query(winsQuery, [room]);
+    const winsRes = await dbPool.query(winsQuery, [room, access.codeHash]);
     const winsMap = new Map();
     winsRes.rows.forEach(row => {
-      winsMap.set(row.username, {
+      winsMap.set(row.player_key, {
         username: row.username,
+        player_ref: row.player_ref,
         wins: Number(row.wins) || 0,
         last_win_ts: row.last_win_ts,
         last_win_seconds: row.last_win_seconds != null ? Number(row.last_win_seconds) : null,
       });
     });
 
-    // Last-place summary per username in room (humans only)
+    // Last-place summary per player in room (humans only)
     const lastQuery = `
-      SELECT rp.username AS username,
+      SELECT ${PARTICIPANT_KEY_SQL} AS player_key,
+             MAX(${PARTICIPANT_NAME_SQL}) AS username,
+             MAX(rp.player_ref) AS player_ref,
              COUNT(*) AS last_places,
              MAX(r.race_timestamp) AS last_last_ts,
              (ARRAY_AGG(rp.human_finish_time_seconds ORDER BY r.race_timestamp DESC))[1] AS last_last_seconds
       FROM race_participants rp
       JOIN races r ON r.id = rp.race_id
-      WHERE r.room_id = $1 AND rp.is_bot = FALSE AND rp.is_last_human = TRUE
-      GROUP BY rp.username
+      LEFT JOIN players pl ON pl.id = rp.player_ref
+      WHERE r.room_id = $1 AND ${PRIVATE_RACE_FILTER_SQL('$2')} AND rp.is_bot = FALSE AND rp.is_last_human = TRUE AND rp.leaderboard_excluded = FALSE
+      GROUP BY ${PARTICIPANT_KEY_SQL}
     `;
-    const lastRes = await dbPool.query(lastQuery, [room]);
+    const lastRes = await dbPool.query(lastQuery, [room, access.codeHash]);
     const lastMap = new Map();
     lastRes.rows.forEach(row => {
-      lastMap.set(row.username, {
+      lastMap.set(row.player_key, {
         username: row.username,
+        player_ref: row.player_ref,
         last_places: Number(row.last_places) || 0,
         last_last_ts: row.last_last_ts,
         last_last_seconds: row.last_last_seconds != null ? Number(row.last_last_seconds) : null,
       });
     });
 
-    // Union of usernames present in either wins or last maps
-    const usernames = new Set([...winsMap.keys(), ...lastMap.keys()]);
-    const items = Array.from(usernames).map(u => {
-      const w = winsMap.get(u) || {};
-      const l = lastMap.get(u) || {};
+    // Union of players present in either wins or last maps
+    const playerKeys = new Set([...winsMap.keys(), ...lastMap.keys()]);
+    const items = Array.from(playerKeys).map(k => {
+      const w = winsMap.get(k) || {};
+      const l = lastMap.get(k) || {};
       return {
-        username: u,
+        username: w.username || l.username,
+        player_ref: w.player_ref ?? l.player_ref ?? null,
         wins: w.wins || 0,
         last_places: l.last_places || 0,
         last_win_ts: w.last_win_ts || null,
@@ -454,20 +1776,24 @@ app.get('/api/leaderboard/room-loses', async (req, res) => {
   if (!dbPool) return res.json({ items: [] });
   const room = (req.query.room && String(req.query.room).trim()) || null;
   if (!room) return res.json({ items: [] });
+  const access = roomReadAccess(req, res, room);
+  if (!access) return;
   try {
     const sql = `
-      SELECT rp.username AS username,
+      SELECT MAX(${PARTICIPANT_NAME_SQL}) AS username,
+             MAX(rp.player_ref) AS player_ref,
              COUNT(*) AS last_places,
              MAX(r.race_timestamp) AS last_last_ts,
              (ARRAY_AGG(rp.human_finish_time_seconds ORDER BY r.race_timestamp DESC))[1] AS last_last_seconds
       FROM race_participants rp
       JOIN races r ON r.id = rp.race_id
-      WHERE r.room_id = $1 AND rp.is_bot = FALSE AND rp.is_last_human = TRUE
-      GROUP BY rp.username
-      ORDER BY last_places DESC, rp.username ASC
+      LEFT JOIN players pl ON pl.id = rp.player_ref
+      WHERE r.room_id = $1 AND ${PRIVATE_RACE_FILTER_SQL('$2')} AND rp.is_bot = FALSE AND rp.is_last_human = TRUE AND rp.leaderboard_excluded = FALSE
+      GROUP BY ${PARTICIPANT_KEY_SQL}
+      ORDER BY last_places DESC, username ASC
       LIMIT 20
     `;
-    const { rows } = await dbPool.query(sql, [room]);
+    const { rows } = await dbPool.query(sql, [room, access.codeHash]);
     res.json({ room, items: rows });
   } catch (err) {
     console.error('[api] room-loses error', err);
@@ -480,6 +1806,8 @@ app.get('/api/leaderboard/room-stats', async (req, res) => {
   if (!dbPool) return res.json({ room: null, stats: null });
   const room = (req.query.room && String(req.query.room).trim()) || null;
   if (!room) return res.json({ room: null, stats: null });
+  const access = roomReadAccess(req, res, room);
+  if (!access) return;
   try {
     const baseSql = `
       SELECT
@@ -488,39 +1816,41 @@ app.get('/api/leaderboard/room-stats', async (req, res) => {
         AVG(human_players_count)::FLOAT AS avg_humans,
         AVG(race_duration_seconds)::FLOAT AS avg_duration_seconds,
         SUM(human_players_count)::INT AS total_human_starts
-      FROM races
-      WHERE room_id = $1
+      FROM races r
+      WHERE r.room_id = $1 AND ${PRIVATE_RACE_FILTER_SQL('$2')}
     `;
-    const baseRes = await dbPool.query(baseSql, [room]);
+    const baseRes = await dbPool.query(baseSql, [room, access.codeHash]);
     const baseRow = baseRes.rows[0] || {};
 
     const uniqueSql = `
-      SELECT COUNT(DISTINCT rp.username)::INT AS unique_humans
+      SELECT COUNT(DISTINCT ${PARTICIPANT_KEY_SQL})::INT AS unique_humans
       FROM race_participants rp
       JOIN races r ON r.id = rp.race_id
-      WHERE r.room_id = $1 AND rp.is_bot = FALSE
+      WHERE r.room_id = $1 AND ${PRIVATE_RACE_FILTER_SQL('$2')} AND rp.is_bot = FALSE
     `;
-    const uniqueRes = await dbPool.query(uniqueSql, [room]);
+    const uniqueRes = await dbPool.query(uniqueSql, [room, access.codeHash]);
     const uniqueRow = uniqueRes.rows[0] || {};
 
     const lastWinnerSql = `
-      SELECT winner_username, winner_time_seconds, race_timestamp
-      FROM races
-      WHERE room_id = $1
-      ORDER BY race_timestamp DESC
+      SELECT ${WINNER_NAME_SQL} AS winner_username, r.winner_time_seconds, r.race_timestamp
+      FROM races r
+      LEFT JOIN players pl ON pl.id = r.winner_player_ref
+      WHERE r.room_id = $1 AND ${PRIVATE_RACE_FILTER_SQL('$2')}
+      ORDER BY r.race_timestamp DESC
       LIMIT 1
     `;
-    const lastWinnerRes = await dbPool.query(lastWinnerSql, [room]);
+    const lastWinnerRes = await dbPool.query(lastWinnerSql, [room, access.codeHash]);
     const lastWinnerRow = lastWinnerRes.rows[0] || null;
 
     const fastestSql = `
-      SELECT winner_username, winner_time_seconds, race_timestamp
-      FROM races
-      WHERE room_id = $1
-      ORDER BY winner_time_seconds ASC
+      SELECT ${WINNER_NAME_SQL} AS winner_username, r.winner_time_seconds, r.race_timestamp
+      FROM races r
+      LEFT JOIN players pl ON pl.id = r.winner_player_ref
+      WHERE r.room_id = $1 AND ${PRIVATE_RACE_FILTER_SQL('$2')} AND r.winner_excluded = FALSE
+      ORDER BY r.winner_time_seconds ASC
       LIMIT 1
     `;
-    const fastestRes = await dbPool.query(fastestSql, [room]);
+    const fastestRes = await dbPool.query(fastestSql, [room, access.codeHash]);
     const fastestRow = fastestRes.rows[0] || null;
 
     const stats = {
@@ -548,6 +1878,153 @@ app.get('/api/leaderboard/room-stats', async (req, res) => {
   }
 });
 
+// Race replay: raceStart payload, boost inputs and progress snapshots (memory first, then DB).
+// Replays of private rooms need the room's access (see roomReadAccess); a wrong code looks like an unknown race.
+app.get('/api/races/:raceId/replay', async (req, res) => {
+  const raceId = String(req.params.raceId || '').trim();
+  if (!raceId) return res.status(404).json({ error: 'not_found' });
+  const cached = replays.get(raceId);
+  if (cached) {
+    const access = roomReadAccess(req, res, cached.replay.roomId);
+    if (!access) return;
+    if (cached.codeHash && access.codeHash !== cached.codeHash) return res.status(404).json({ error: 'not_found' });
+    return res.json(cached.replay);
+  }
+  if (!dbPool) return res.status(404).json({ error: 'not_found' });
+  try {
+    const { rows } = await dbPool.query('SELECT replay, room_id, room_code_hash FROM race_replays WHERE race_id = $1', [raceId]);
+    if (!rows.length) return res.status(404).json({ error: 'not_found' });
+    const access = roomReadAccess(req, res, rows[0].room_id);
+    if (!access) return;
+    if (rows[0].room_code_hash && access.codeHash !== rows[0].room_code_hash) return res.status(404).json({ error: 'not_found' });
+    res.json(rows[0].replay);
+  } catch (err) {
+    console.error('[api] replay error', err);
+    res.status(500).json({ error: 'replay_unavailable' });
+  }
+});
+
+// Room browser: in-memory public rooms with phase, seats and host (joinable = lobby with a free lane)
+app.get('/api/rooms', (req, res) => {
+  const items = Array.from(rooms.values()).filter(room => !room.private).map(roomListing);
+  res.json({ items });
+});
+
+// Debts carry their room's code hash themselves (their race may be deleted)
+const DEBT_ACCESS_FILTER_SQL = '(d.room_code_hash IS NULL OR d.room_code_hash = $2)';
+
+// Toll ledger: one debt per race for the last human (races with 2+ humans); balances per player.
+// can_settle / settleable_id tell the caller (X-Player-Uid or session, see settle) what they may settle.
+app.get('/api/rooms/:room/debts', async (req, res) => {
+  const room = String(req.params.room || '').trim();
+  if (!dbPool || !room) return res.json({ room, items: [], balances: [] });
+  const access = roomReadAccess(req, res, room);
+  if (!access) return;
+  const status = String(req.query.status || 'all');
+  try {
+    const session = sessionPlayer(req, room);
+    const identity = await requestIdentity(req, session);
+    const viewer = [identity ? identity.id : null, isRoomHost(session, room)];
+    const canSettleSql = 'COALESCE(d.settled = FALSE AND ($4::boolean OR d.creditor_ref = $3::int), FALSE)';
+    const filter = status === 'outstanding' ? 'AND d.settled = FALSE' : status === 'settled' ? 'AND d.settled = TRUE' : '';
+    const { rows } = await dbPool.query(`
+      SELECT d.id, COALESCE(pl.display_name, d.username) AS username, d.player_ref, d.amount, d.reason, d.created_at AS ts,
+             d.settled, d.settled_at, d.settled_by, d.settled_by_ref, d.creditor_username, d.creditor_ref, r.race_id,
+             ${canSettleSql} AS can_settle
+      FROM debts d
+      LEFT JOIN races r ON r.id = d.race_id
+      LEFT JOIN players pl ON pl.id = d.player_ref
+      WHERE d.room_id = $1 AND ${DEBT_ACCESS_FILTER_SQL} ${filter}
+      ORDER BY d.settled ASC, d.created_at DESC
+      LIMIT 100
+    `, [room, access.codeHash, ...viewer]);
+    const balancesRes = await dbPool.query(`
+      SELECT MAX(COALESCE(pl.display_name, d.username)) AS username,
+             MAX(d.player_ref) AS player_ref,
+             COALESCE(SUM(d.amount) FILTER (WHERE d.settled = FALSE), 0)::INT AS outstanding,
+             COALESCE(SUM(d.amount) FILTER (WHERE d.settled = TRUE), 0)::INT AS settled,
+             MIN(d.id) FILTER (WHERE d.settled = FALSE) AS oldest_outstanding_id,
+             MIN(d.id) FILTER (WHERE ${canSettleSql}) AS settleable_id
+      FROM debts d
+      LEFT JOIN players pl ON pl.id = d.player_ref
+      WHERE d.room_id = $1 AND ${DEBT_ACCESS_FILTER_SQL}
+      GROUP BY COALESCE('p:' || d.player_ref, 'u:' || d.username)
+      ORDER BY outstanding DESC, username ASC
+    `, [room, access.codeHash, ...viewer]);
+    res.json({ room, items: rows, balances: balancesRes.rows });
+  } catch (err) {
+    console.error('[api] debts error', err);
+    res.json({ room, items: [], balances: [] });
+  }
+});
+
+// Series of a room, newest first, with their standings (toll payer ranking order)
+app.get('/api/rooms/:room/series', async (req, res) => {
+  const room = String(req.params.room || '').trim();
+  if (!dbPool || !room) return res.json({ room, items: [] });
+  const access = roomReadAccess(req, res, room);
+  if (!access) return;
+  try {
+    const { rows } = await dbPool.query(`
+      SELECT s.series_id, s.total_races, s.races_completed, s.finished, s.toll_payer_username,
+             s.started_at, s.finished_at,
+             COALESCE((
+               SELECT json_agg(json_build_object('username', COALESCE(pl.display_name, st.username), 'player_ref', st.player_ref,
+                                                 'points', st.points, 'wins', st.wins, 'last_places', st.last_places,
+                                                 'races', st.races, 'total_seconds', st.total_seconds::float)
+                               ORDER BY st.points DESC, st.last_places ASC, st.total_seconds ASC)
+               FROM series_standings st
+               LEFT JOIN players pl ON pl.id = st.player_ref
+               WHERE st.series_id = s.id
+             ), '[]'::json) AS standings
+      FROM series s
+      WHERE s.room_id = $1 AND (s.room_code_hash IS NULL OR s.room_code_hash = $2)
+      ORDER BY s.started_at DESC
+      LIMIT 10
+    `, [room, access.codeHash]);
+    res.json({ room, items: rows });
+  } catch (err) {
+    console.error('[api] series error', err);
+    res.json({ room, items: [] });
+  }
+});
+
+const settleLimiter = RateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // limit each IP to 30 settle requests per windowMs
+});
+// Only the debt's creditor (the race's human winner) or the room host may settle; settled_by is the verified session
+app.post('/api/rooms/:room/debts/:id/settle', settleLimiter, async (req, res) => {
+  const room = String(req.params.room || '').trim();
+  const id = Number(req.params.id);
+  if (!dbPool) return res.status(503).json({ error: 'db_unavailable' });
+  if (!room || !Number.isInteger(id) || id <= 0) return res.status(404).json({ error: 'not_found' });
+  const session = sessionPlayer(req, room);
+  const isHost = isRoomHost(session, room);
+  try {
+    const identity = await requestIdentity(req, session);
+    if (!identity && !isHost) return res.status(401).json({ error: 'identity_required' });
+    const existing = await dbPool.query('SELECT settled, creditor_ref FROM debts WHERE id = $1 AND room_id = $2', [id, room]);
+    if (!existing.rows.length) return res.status(404).json({ error: 'not_found' });
+    if (existing.rows[0].settled) return res.status(409).json({ error: 'already_settled' });
+    const isCreditor = !!identity && existing.rows[0].creditor_ref === identity.id;
+    if (!isCreditor && !isHost) return res.status(403).json({ error: 'not_creditor_or_host' });
+    const settledBy = identity ? identity.display_name : session.username;
+    const { rows } = await dbPool.query(`
+      UPDATE debts SET settled = TRUE, settled_at = CURRENT_TIMESTAMP, settled_by = $3, settled_by_ref = $4
+      WHERE id = $1 AND room_id = $2 AND settled = FALSE
+      RETURNING id, username, player_ref, amount, reason, created_at AS ts, settled, settled_at, settled_by, settled_by_ref,
+                creditor_username, creditor_ref
+    `, [id, room, settledBy, identity ? identity.id : null]);
+    if (!rows.length) return res.status(409).json({ error: 'already_settled' });
+    console.log(`[api] debt settled id=${id} room=${room} username=${rows[0].username} by=${settledBy}${isCreditor ? ' (creditor)' : ' (host)'}`);
+    res.json({ item: rows[0] });
+  } catch (err) {
+    console.error('[api] settle debt error', err);
+    res.status(500).json({ error: 'settle_failed' });
+  }
+});
+
 // Rate limiter for serving game.html (fallback route)
 const rootLimiter = RateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -558,29 +2035,123 @@ app.get('/', rootLimiter, (req, res) => {
 });
 
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_BYTES * 16 });
 
 wss.on('connection', (ws, req) => {
   const clientId = nextClientId++;
   let room = null;
   let player = null;
+  let spectator = null;
+
+  // A waiting spectator promoted to a lane continues as that player
+  const followPromotion = () => {
+    if (spectator && spectator.promotedTo) {
+      player = spectator.promotedTo;
+      spectator = null;
+    }
+  };
 
   ws.on('message', (buf) => {
-    let msg; try { msg = JSON.parse(buf.toString()); } catch { return; }
+    followPromotion();
+    const parsed = parseClientMessage(buf);
+    if (parsed.error) {
+      console.warn(`[ws] clientId=${clientId} ${parsed.error.code}${parsed.error.messageType ? ` type=${parsed.error.messageType}` : ''}`);
+      return sendError(ws, parsed.error);
+    }
+    const msg = parsed.msg;
     if (msg.type === 'hello') {
+      if (room) return sendError(ws, { code: 'alreadyJoined', messageType: 'hello', details: { roomId: room.id } });
       const roomId = msg.roomId || 'default';
-      room = rooms.get(roomId) || createRoom(roomId);
+      const protocol = negotiateProtocol(msg);
+      if (protocol.reason) {
+        return rejectJoin(ws, roomId, protocol.reason, { message: protocol.message, protocolVersion: PROTOCOL_VERSION, minProtocolVersion: MIN_PROTOCOL_VERSION });
+      }
+      let target = rooms.get(roomId);
+      const created = !target;
+      if (created) {
+        // hello { private: true } creates a private room (generated code, or the host's joinCode as password)
+        const code = msg.private === true ? privateRoomCode(msg) : null;
+        if (code && code.reason) return rejectJoin(ws, roomId, code.reason);
+        target = createRoom(roomId);
+        if (code) {
+          target.private = true;
+          target.joinCode = code.joinCode;
+        }
+      }
+      // Resume: take over the slot of a player presenting a valid token (keeps id, lane, progress, host)
+      const resumed = msg.resumeToken ? resumePlayer(target, String(msg.resumeToken), ws) : null;
+      if (!created && !resumed && target.private && !joinCodeMatches(target, msg.joinCode)) {
+        return rejectJoin(ws, roomId, msg.joinCode == null || msg.joinCode === '' ? 'joinCodeRequired' : 'badJoinCode');
+      }
+      if (!resumed && isBanned(target, normalizePlayerUid(msg.playerUid), (msg.username && String(msg.username).trim()) || '')) {
+        return rejectJoin(ws, roomId, 'banned');
+      }
+      room = target;
+      if (resumed) {
+        player = resumed;
+        player.protocol = protocol; // the resuming client may be a different build
+        player.clock = createClockSync(); // new connection, new latency
+        console.log(`[room:${room.id}] resume clientId=${player.id} username=${player.username} (phase=${room.phase})`);
+        ws.send(JSON.stringify({ type: 'welcome', clientId: player.id, roomId: room.id, hostId: room.hostId, resumeToken: player.resumeToken, resumed: true, ...privateWelcome(room), ...protocolWelcome(protocol) }));
+        sendClockPing(player);
+        broadcast(room, roomStatePayload(room));
+        // Bring the resumed client back into the current phase
+        if (room.phase === 'countdown') {
+          ws.send(JSON.stringify({ type: 'countdown', secondsLeft: Math.max(0, Math.ceil((room.countdownEndsAt - nowMs()) / 1000)), countdownEndsAt: room.countdownEndsAt, boostKey: room.boostKey }));
+        } else if (room.phase === 'race') {
+          ws.send(JSON.stringify({ ...raceStartPayload(room), resumed: true }));
+        }
+        return;
+      }
       const username = (msg.username && String(msg.username).trim()) || `Player_${clientId}`;
-      player = { id: clientId, username, ready: false, lane: null, ws, joinMs: nowMs(), lastResult: null };
+      // Spectators (requested, humans beyond MAX_PLAYERS, or arriving mid-race) watch without a lane;
+      // lanes and per-lane race state are only assigned in the lobby and at startRace
+      const roomFull = room.players.size >= roomCapacity(room);
+      const lateReason = msg.spectate === true ? null : roomFull ? 'roomFull' : room.phase === 'race' ? 'raceInProgress' : null;
+      if (msg.spectate === true || lateReason) {
+        // wantsLane: seated by the server, so promoteWaitingSpectators gives it a lane back in the lobby
+        spectator = { id: clientId, uid: normalizePlayerUid(msg.playerUid), username, ws, joinMs: nowMs(), protocol, clock: createClockSync(), wantsLane: !!lateReason };
+        room.spectators.set(clientId, spectator);
+        console.log(`[room:${room.id}] spectator connect clientId=${clientId} username=${username}${lateReason ? ` (${lateReason})` : ''}`);
+        ws.send(JSON.stringify({ type: 'welcome', clientId, roomId: room.id, hostId: room.hostId, spectator: true, ...(lateReason ? { reason: lateReason } : {}), ...privateWelcome(room), ...protocolWelcome(protocol) }));
+        sendClockPing(spectator);
+        broadcast(room, roomStatePayload(room));
+        // Bring the spectator into the current phase
+        if (room.phase === 'countdown') {
+          ws.send(JSON.stringify({ type: 'countdown', secondsLeft: Math.max(0, Math.ceil((room.countdownEndsAt - nowMs()) / 1000)), countdownEndsAt: room.countdownEndsAt, boostKey: room.boostKey }));
+        } else if (room.phase === 'race') {
+          ws.send(JSON.stringify(raceStartPayload(room)));
+        }
+        return;
+      }
+      player = createPlayerSlot(clientId, normalizePlayerUid(msg.playerUid), username, ws, protocol, createClockSync());
       room.players.set(clientId, player);
       if (!room.hostId) room.hostId = clientId;
       allocateLanes(room);
       console.log(`[room:${room.id}] connect clientId=${clientId} username=${username} (hostId=${room.hostId})`);
-      ws.send(JSON.stringify({ type: 'welcome', clientId, roomId: room.id, hostId: room.hostId }));
+      touchPlayerIdentity(player);
+      ws.send(JSON.stringify({ type: 'welcome', clientId, roomId: room.id, hostId: room.hostId, resumeToken: player.resumeToken, ...privateWelcome(room), ...protocolWelcome(protocol) }));
+      sendClockPing(player);
       broadcast(room, roomStatePayload(room));
       return;
     }
-    if (!room || !player) return;
+    // Clock sync answers come from players and spectators alike
+    if (room && msg.type === 'pong') {
+      if (player && player.ws === ws) handleClockPong(player, msg);
+      else if (spectator && spectator.ws === ws) handleClockPong(spectator, msg);
+      return;
+    }
+    // Chat is open to spectators too (emotes are checked inside handleChat)
+    if (room && (msg.type === 'chat' || msg.type === 'emote')) {
+      if (player && player.ws === ws) handleChat(room, player, false, msg);
+      else if (spectator && spectator.ws === ws) handleChat(room, spectator, true, msg);
+      return;
+    }
+    if (!room) return sendError(ws, { code: 'notJoined', messageType: msg.type, details: { message: 'send hello first' } });
+    // Spectators have no player slot, so they cannot ready, start or boost;
+    // sockets superseded by a resume are ignored
+    if (spectator) return sendError(ws, { code: 'spectator', messageType: msg.type, details: {} });
+    if (!player || player.ws !== ws) return;
 
     switch (msg.type) {
       case 'setReady': {
@@ -596,44 +2167,94 @@ wss.on('connection', (ws, req) => {
         // Allow host to start if: single player OR all players ready
         const canStart = (playerCount === 1) || (readyCount === playerCount);
         if (playerCount >= 1 && canStart && room.phase === 'lobby') {
+          // A finished series rolls over into a fresh one of the same length
+          if (room.series && room.series.finished) {
+            startSeries(room);
+            broadcast(room, roomStatePayload(room));
+          }
           startCountdown(room);
-          setTimeout(() => startRace(room), COUNTDOWN_SECONDS * 1000);
+          setTimeout(() => startRace(room), room.constants.COUNTDOWN_SECONDS * 1000);
         }
         break;
       }
       case 'pressBoost': {
         // Boost with cooldown + max duration enforcement
+        if (room.phase === 'race') updateRace(room); // catch the sim up so the input lands in the next step
         if (room.phase === 'race') {
           const now = nowMs();
+          const key = normalizeBoostKey(msg.key);
+          recordBoostInput(room, player, !!msg.down, key, now);
+          // Lag compensation: start/end take effect at the press time on the server clock (bounded rewind)
+          const at = compensatedInputTime(room, player, msg.atClientMs, now);
+          const timing = at < now ? { t: at - room.raceStartEpochMs, rewindMs: now - at } : {};
           if (msg.down) {
-            // Attempt to start boost
-            const canStart = (!player.lastBoostEndMs) || (now - player.lastBoostEndMs >= BOOST_COOLDOWN_MS);
+            // Attempt to start boost: must use the current server key
+            if (key !== room.boostKey) {
+              const reason = key == null ? 'missingKey' : 'wrongKey';
+              recordReplayInput(room, player, { down: true, accepted: false, key, reason, ...timing });
+              broadcast(room, { type: 'boost', playerId: player.id, down: true, atClientMs: msg.atClientMs || now, accepted: false, reason, boostKey: room.boostKey });
+              break;
+            }
+            const cooldownMs = room.constants.BOOST_COOLDOWN_MS;
+            const canStart = (!player.lastBoostEndMs) || (at - player.lastBoostEndMs >= cooldownMs);
             if (canStart && !player.boostDown) {
               player.boostDown = true;
-              player.boostSinceMs = now;
-              player.lastBoostStartMs = now;
-              broadcast(room, { type: 'boost', playerId: player.id, down: true, atClientMs: msg.atClientMs || now, accepted: true });
+              player.boostSinceMs = at;
+              player.lastBoostStartMs = at;
+              if (at < now && !player.finished) rewindBoost(room, player, at, true);
+              recordReplayInput(room, player, { down: true, accepted: true, key, ...timing });
+              broadcast(room, { type: 'boost', playerId: player.id, down: true, atClientMs: msg.atClientMs || now, atServerMs: at, accepted: true });
             } else {
               // Denied (cooldown)
-              broadcast(room, { type: 'boost', playerId: player.id, down: true, atClientMs: msg.atClientMs || now, accepted: false, cooldownMsRemaining: player.lastBoostEndMs ? (BOOST_COOLDOWN_MS - (now - player.lastBoostEndMs)) : null });
+              recordReplayInput(room, player, { down: true, accepted: false, key, reason: 'cooldown', ...timing });
+              broadcast(room, { type: 'boost', playerId: player.id, down: true, atClientMs: msg.atClientMs || now, accepted: false, reason: 'cooldown', cooldownMsRemaining: player.lastBoostEndMs ? (cooldownMs - (at - player.lastBoostEndMs)) : null });
             }
           } else {
             // End boost early if key released
             if (player.boostDown) {
               player.boostDown = false;
-              player.lastBoostEndMs = now;
-              broadcast(room, { type: 'boost', playerId: player.id, down: false, atClientMs: msg.atClientMs || now, accepted: true });
+              player.lastBoostEndMs = at;
+              if (at < now && !player.finished) rewindBoost(room, player, at, false);
+              recordReplayInput(room, player, { down: false, accepted: true, key, ...timing });
+              broadcast(room, { type: 'boost', playerId: player.id, down: false, atClientMs: msg.atClientMs || now, atServerMs: at, accepted: true });
             }
           }
         }
         break;
       }
+      case 'configureRoom': {
+        // Host-only, lobby-only; invalid rule sets are rejected as a whole
+        let reason = null;
+        let errors = [];
+        if (room.hostId !== player.id) reason = 'notHost';
+        else if (room.phase !== 'lobby') reason = 'notLobby';
+        else {
+          const checked = validateRoomRules(room, msg.rules);
+          errors = checked.errors;
+          if (errors.length) reason = 'invalidRules';
+          else {
+            Object.assign(room.constants, checked.values);
+            if ('TOTAL_LANES' in checked.values || 'BOT_PROFILE_MIX' in checked.values) allocateLanes(room);
+            if ('SERIES_RACES' in checked.values) startSeries(room);
+            console.log(`[room:${room.id}] rules configured by host: ${JSON.stringify(checked.values)}`);
+            broadcast(room, roomStatePayload(room));
+          }
+        }
+        ws.send(JSON.stringify({ type: 'roomConfig', accepted: !reason, ...(reason ? { reason } : {}), ...(errors.length ? { errors } : {}), constants: room.constants }));
+        break;
+      }
+      case 'kickPlayer':
+      case 'banPlayer':
+      case 'transferHost':
+        handleHostAction(room, player, msg);
+        break;
       case 'returnToLobby': {
         if (room.hostId !== player.id) break;
         if (room.players.size >= 2) {
           room.phase = 'lobby';
           stopTick(room);
           broadcast(room, roomStatePayload(room));
+          promoteWaitingSpectators(room);
         }
         break;
       }
@@ -660,6 +2281,7 @@ wss.on('connection', (ws, req) => {
           stopTick(room);
           broadcast(room, roomStatePayload(room));
           console.log(`[room:${room.id}] game reset by host`);
+          promoteWaitingSpectators(room);
         }
         break;
       }
@@ -670,6 +2292,7 @@ wss.on('connection', (ws, req) => {
           const oldName = player.username;
           player.username = newName;
           console.log(`[room:${room.id}] rename clientId=${player.id} '${oldName}' -> '${newName}'`);
+          touchPlayerIdentity(player);
           broadcast(room, roomStatePayload(room));
         }
         break;
@@ -677,55 +2300,91 @@ wss.on('connection', (ws, req) => {
     }
   });
 
+  // Protocol violations caught by ws (e.g. frames over maxPayload); the socket is closed right after
+  ws.on('error', (err) => {
+    console.warn(`[ws] clientId=${clientId} socket error: ${err.message}`);
+  });
+
   ws.on('close', () => {
-    if (room && player) {
-      console.log(`[room:${room.id}] disconnect clientId=${player.id} username=${player.username}`);
-      room.players.delete(player.id);
-      const wasHost = room.hostId === player.id;
-      if (wasHost) {
-        const first = room.players.values().next().value;
-        room.hostId = first ? first.id : null;
-      }
-      allocateLanes(room);
+    followPromotion();
+    if (room && spectator) {
+      if (spectator.ws !== ws) return; // removed by the host
+      console.log(`[room:${room.id}] spectator disconnect clientId=${spectator.id} username=${spectator.username}`);
+      room.spectators.delete(spectator.id);
       broadcast(room, roomStatePayload(room));
-      // Dynamic end: if no players remain, end game and return to lobby
-      if (room.players.size === 0) {
-        stopTick(room);
-        room.phase = 'lobby';
-        room.readySet.clear();
-        room.countdownEndsAt = null;
-        room.raceStartEpochMs = null;
-        broadcast(room, roomStatePayload(room));
-      }
-      // If in results phase, wait until host exits before resetting to lobby
-      else if (room.phase === 'results' && wasHost) {
-        stopTick(room);
-        room.phase = 'lobby';
-        room.readySet.clear();
-        room.countdownEndsAt = null;
-        room.raceStartEpochMs = null;
-        broadcast(room, roomStatePayload(room));
-      }
+      closeRoomIfEmpty(room);
+      return;
+    }
+    // Only the socket currently attached to the player counts; a superseded socket closing is a no-op
+    if (room && player && player.ws === ws) {
+      markDisconnected(room, player);
     }
   });
 });
 
 // --- Race Simulation Logic ---
+// Moment within a simulation step at which progress crossed `line`; speed is constant over a step,
+// so the crossing is linear between the step's start and end.
+// step: { startMs, endMs, progressBefore }
+function crossingTimeMs(step, progressAfter, line) {
+  const span = progressAfter - step.progressBefore;
+  const fraction = span > 0 ? clamp((line - step.progressBefore) / span, 0, 1) : 1;
+  return step.startMs + fraction * (step.endMs - step.startMs);
+}
+
+// Record a split for every lap line crossed during the step and keep `lap` (1-based) current
+function recordLapSplits(room, entity, step) {
+  const laps = room.constants.LAPS;
+  while (entity.lapSplits.length < laps && entity.progress >= entity.lapSplits.length + 1) {
+    const atSeconds = (crossingTimeMs(step, entity.progress, entity.lapSplits.length + 1) - room.raceStartEpochMs) / 1000;
+    const prev = entity.lapSplits.length ? entity.lapSplits[entity.lapSplits.length - 1].atSeconds : 0;
+    entity.lapSplits.push({ lap: entity.lapSplits.length + 1, atSeconds: +atSeconds.toFixed(3), lapSeconds: +(atSeconds - prev).toFixed(3) });
+  }
+  entity.lap = Math.min(laps, entity.lapSplits.length + 1);
+}
+
+// Record a split for every checkpoint (CHECKPOINT_FRACTIONS of each lap) crossed during the step
+function recordCheckpointSplits(room, entity, step) {
+  const perLap = CHECKPOINT_FRACTIONS.length;
+  const total = perLap * room.constants.LAPS;
+  while (entity.checkpointSplits.length < total) {
+    const idx = entity.checkpointSplits.length;
+    const lapIdx = Math.floor(idx / perLap);
+    const checkpoint = CHECKPOINT_FRACTIONS[idx % perLap];
+    if (entity.progress < lapIdx + checkpoint) break;
+    const at = crossingTimeMs(step, entity.progress, lapIdx + checkpoint);
+    entity.checkpointSplits.push({ lap: lapIdx + 1, checkpoint, atSeconds: +((at - room.raceStartEpochMs) / 1000).toFixed(3) });
+  }
+}
+
+// Server time the race simulation has reached (end of the last fixed step)
+function raceSimTimeMs(room) {
+  return room.raceStartEpochMs + room.simSteps * SIM_STEP_MS;
+}
+
+// Run every fixed step that is due by now. The accumulator is the gap between the sim clock and
+// now, so when (or how late) this runs changes nothing: only the inputs decide the outcome.
 function updateRace(room) {
-  if (room.phase !== 'race') return;
   const now = nowMs();
-  const dtMs = room.lastUpdateMs ? (now - room.lastUpdateMs) : 0;
-  room.lastUpdateMs = now;
-  const dtSec = dtMs / 1000;
-  const baseSpeed = (1 / MAX_EXECUTION_TIME) * 1.2; // progress per second (20% faster)
-
-  // helper jitter using Math.random; seeds can be used later for deterministic PRNG
-  function targetSpeed(boostActive) {
-    const targetFactor = boostActive ? BOOST_FACTOR : IDLE_SPEED_FACTOR;
-    return baseSpeed * targetFactor;
-  }
-  function applyJitter(spd, scale = 1) {
-    const jitter = (Math.random() - 0.5) * 0.06 * scale; // base ±3%, scaled
+  for (let steps = 0; steps < SIM_MAX_STEPS_PER_UPDATE; steps++) {
+    if (room.phase !== 'race' || raceSimTimeMs(room) + SIM_STEP_MS > now) return;
+    stepRace(room);
+  }
+}
+
+// One SIM_STEP_MS step; `now` is the step's end on the sim clock
+function stepRace(room) {
+  const stepStartMs = raceSimTimeMs(room);
+  room.simSteps++;
+  const now = raceSimTimeMs(room);
+  const dtSec = SIM_STEP_MS / 1000;
+  const c = room.constants; // per-room rules (configureRoom)
+  const baseSpeed = (1 / c.MAX_EXECUTION_TIME) * 1.2; // progress per second (20% faster)
+  if (room.nextBoostKeyAt != null && now >= room.nextBoostKeyAt) rotateBoostKey(room, now);
+
+  // Jitter draws from the participant's seeded PRNG so races are reproducible
+  function applyJitter(rng, spd, scale = 1) {
+    const jitter = (rng() - 0.5) * 0.06 * scale; // base ±3%, scaled
     return spd * (1 + jitter);
   }
 
@@ -734,29 +2393,34 @@ function updateRace(room) {
     if (p.fullyFinished) return;
 
     // Skip normal race logic if already finished (only decelerate)
+    const stepSpan = { startMs: stepStartMs, endMs: now, progressBefore: p.progress };
     if (!p.finished) {
-      const boostActive = p.boostDown && p.boostSinceMs && (now - p.boostSinceMs) <= BOOST_MAX_DURATION_MS;
+      // A boost affects the steps that end after its start; it may start inside the step the sim hasn't run yet
+      const boostElapsed = p.boostDown && p.boostSinceMs ? now - p.boostSinceMs : null;
+      const boostActive = boostElapsed != null && boostElapsed > 0 && boostElapsed <= c.BOOST_MAX_DURATION_MS;
       // Auto-end boost if duration exceeded
-      if (p.boostDown && !boostActive) {
+      if (p.boostDown && boostElapsed > c.BOOST_MAX_DURATION_MS) {
         p.boostDown = false;
         p.lastBoostEndMs = now;
         broadcast(room, { type: 'boost', playerId: p.id, down: false, atClientMs: now, accepted: true, reason: 'auto-expire' });
       }
-      // Integrate speed toward target using accel/decel rates
-      const tSpd = targetSpeed(boostActive);
-      const delta = tSpd - (p.currentSpeed || 0);
-      const maxUp = ACCELERATION_RATE * dtSec;
-      const maxDown = DECELERATION_RATE * dtSec;
-      const step = delta > 0 ? Math.min(delta, maxUp) : Math.max(delta, -maxDown);
-      p.currentSpeed = (p.currentSpeed || 0) + step;
-      const spd = applyJitter(p.currentSpeed);
-      p.progress += spd * dtSec;
+      // Integrate speed toward target using accel/decel rates; the tick is kept for lag-compensated rewinds
+      const jitter = 1 + (p.rng() - 0.5) * 0.06; // same draw as applyJitter
+      const tick = { t: now, dtSec, jitter, boostActive, progressBefore: p.progress, speedBefore: p.currentSpeed || 0,
+        lapSplitsBefore: p.lapSplits.length, checkpointSplitsBefore: p.checkpointSplits.length };
+      stepPlayerMotion(c, p, dtSec, boostActive, jitter);
+      p.motionHistory.push(tick);
+      while (p.motionHistory.length && p.motionHistory[0].t < now - BOOST_MAX_REWIND_MS - 100) p.motionHistory.shift();
     }
 
-    // Check finish line crossing
-    if (p.progress >= 1 && !p.finished) {
+    // Lap splits, then finish line crossing on the last lap
+    if (!p.finished) {
+      recordCheckpointSplits(room, p, stepSpan);
+      recordLapSplits(room, p, stepSpan);
+    }
+    if (p.progress >= c.LAPS && !p.finished) {
       p.finished = true;
-      p.finishSeconds = (now - room.raceStartEpochMs) / 1000;
+      p.finishSeconds = (crossingTimeMs(stepSpan, p.progress, c.LAPS) - room.raceStartEpochMs) / 1000;
       p.finishDecelStartMs = now;
       p.finishSpeed = p.currentSpeed; // Store speed at finish for physics-based deceleration
     }
@@ -765,12 +2429,12 @@ function updateRace(room) {
     if (p.finished && !p.fullyFinished) {
       const decelElapsed = now - p.finishDecelStartMs;
       // Calculate deceleration as fraction of finish speed per second
-      const decelRatePerSec = (p.finishSpeed || p.currentSpeed) / (FINISH_DECELERATION_DURATION_MS / 1000);
+      const decelRatePerSec = (p.finishSpeed || p.currentSpeed) / (c.FINISH_DECELERATION_DURATION_MS / 1000);
       const speedDrop = decelRatePerSec * dtSec;
       p.currentSpeed = Math.max(0, p.currentSpeed - speedDrop);
 
       // Continue moving forward while decelerating
-      const spd = applyJitter(p.currentSpeed);
+      const spd = applyJitter(p.rng, p.currentSpeed);
       p.progress += spd * dtSec;
 
       if (p.currentSpeed <= 0) {
@@ -784,27 +2448,46 @@ function updateRace(room) {
   room.bots.forEach(b => {
     if (b.fullyFinished) return;
 
+    const stepSpan = { startMs: stepStartMs, endMs: now, progressBefore: b.progress };
     // Skip normal race logic if already finished (only decelerate)
     if (!b.finished) {
-      // More varied boost behavior based on bot personality
-      const boostChance = Math.random() < (BOT_BOOST_PROB_PER_TICK * (0.5 + b.boostPreference)); // personality affects frequency
-      const botBoost = boostChance && (Math.random() < BOT_BOOST_ENABLE_PROB);
       b.currentSpeed = b.currentSpeed || 0;
-      const tFactor = botBoost ? BOOST_FACTOR : (BOT_IDLE_SPEED_FACTOR * (b.biasFactor || 1));
+      let tFactor, accelRate, decelRate, jitterScale;
+      if (b.strategy) {
+        // Operator strategy: decides "hold boost" per tick; boost duration, cooldown and motion match the humans'
+        const wantsBoost = runBotStrategy(room, b, botStrategySnapshot(room, b, now));
+        const boostActive = updateStrategyBotBoost(b, wantsBoost, now, c);
+        tFactor = boostActive ? c.BOOST_FACTOR : c.IDLE_SPEED_FACTOR;
+        accelRate = c.ACCELERATION_RATE;
+        decelRate = c.DECELERATION_RATE;
+        jitterScale = 1;
+      } else {
+        // Boost timing comes from the bot's profile
+        const profile = BOT_PROFILES[b.profile] || BOT_PROFILES.pacer;
+        const botBoost = !!profile.boost(b, { rng: b.rng, c, lapFraction: b.progress % 1, elapsedMs: now - room.raceStartEpochMs });
+        tFactor = botBoost ? c.BOOST_FACTOR : (c.BOT_IDLE_SPEED_FACTOR * (b.biasFactor || 1));
+        accelRate = c.BOT_ACCELERATION_RATE;
+        decelRate = c.BOT_DECELERATION_RATE;
+        jitterScale = b.jitterScale || 1;
+      }
       const tSpd = baseSpeed * tFactor;
       const delta = tSpd - b.currentSpeed;
-      const maxUp = BOT_ACCELERATION_RATE * dtSec;
-      const maxDown = BOT_DECELERATION_RATE * dtSec;
+      const maxUp = accelRate * dtSec;
+      const maxDown = decelRate * dtSec;
       const step = delta > 0 ? Math.min(delta, maxUp) : Math.max(delta, -maxDown);
       b.currentSpeed = b.currentSpeed + step;
-      const spd = applyJitter(b.currentSpeed, b.jitterScale || 1);
+      const spd = applyJitter(b.rng, b.currentSpeed, jitterScale);
       b.progress += spd * dtSec;
     }
 
-    // Check finish line crossing
-    if (b.progress >= 1 && !b.finished) {
+    // Lap splits, then finish line crossing on the last lap
+    if (!b.finished) {
+      recordCheckpointSplits(room, b, stepSpan);
+      recordLapSplits(room, b, stepSpan);
+    }
+    if (b.progress >= c.LAPS && !b.finished) {
       b.finished = true;
-      b.finishSeconds = (now - room.raceStartEpochMs) / 1000;
+      b.finishSeconds = (crossingTimeMs(stepSpan, b.progress, c.LAPS) - room.raceStartEpochMs) / 1000;
       b.finishDecelStartMs = now;
       b.finishSpeed = b.currentSpeed; // Store speed at finish for physics-based deceleration
     }
@@ -812,12 +2495,12 @@ function updateRace(room) {
     // Post-finish deceleration - physics-based with constant deceleration rate
     if (b.finished && !b.fullyFinished) {
       // Calculate deceleration as fraction of finish speed per second
-      const decelRatePerSec = (b.finishSpeed || b.currentSpeed) / (FINISH_DECELERATION_DURATION_MS / 1000);
+      const decelRatePerSec = (b.finishSpeed || b.currentSpeed) / (c.FINISH_DECELERATION_DURATION_MS / 1000);
       const speedDrop = decelRatePerSec * dtSec;
       b.currentSpeed = Math.max(0, b.currentSpeed - speedDrop);
 
       // Continue moving forward while decelerating
-      const spd = applyJitter(b.currentSpeed, b.jitterScale || 1);
+      const spd = applyJitter(b.rng, b.currentSpeed, b.strategy ? 1 : (b.jitterScale || 1));
       b.progress += spd * dtSec;
 
       if (b.currentSpeed <= 0) {
@@ -833,18 +2516,153 @@ function updateRace(room) {
   if (allPlayersFinished && allBotsFinished) {
     // Compile results
     const results = [];
-    room.players.forEach(p => results.push({ id: p.id, username: p.username, lane: p.lane, finishSeconds: p.finishSeconds, isBot: false }));
-    room.bots.forEach(b => results.push({ id: `bot:${b.lane}`, username: b.username, lane: b.lane, finishSeconds: b.finishSeconds, isBot: true }));
+    room.players.forEach(p => {
+      p.flagReasons = analyzeInput(p.inputStats);
+      p.flagged = p.flagReasons.length > 0;
+      if (p.flagged) console.log(`[room:${room.id}] input flagged clientId=${p.id} username=${p.username} reasons=${p.flagReasons.join(',')}`);
+      results.push({ id: p.id, username: p.username, lane: p.lane, finishSeconds: p.finishSeconds, lapSplits: p.lapSplits, checkpointSplits: p.checkpointSplits, isBot: false, flagged: p.flagged, flagReasons: p.flagReasons });
+    });
+    room.bots.forEach(b => results.push({ id: `bot:${b.lane}`, username: b.username, lane: b.lane, finishSeconds: b.finishSeconds, lapSplits: b.lapSplits, checkpointSplits: b.checkpointSplits, profile: b.profile, isBot: true }));
     results.sort((a,b)=>a.finishSeconds - b.finishSeconds);
     const winnerId = results[0] ? results[0].id : null;
     const winnerTime = results[0] ? results[0].finishSeconds : null;
     results.forEach(r => { r.deltaSeconds = winnerTime != null ? +(r.finishSeconds - winnerTime).toFixed(3) : null; });
-    endRace(room, { winnerId, results });
+    endRace(room, { winnerId, laps: c.LAPS, results });
+  }
+}
+
+// --- Bot Strategies ---
+// Operator strategy files (bots/<name>.js) assign a synchronous function to module.exports:
+//   module.exports = function decide(snapshot) { return true; } // true = hold boost this tick
+// Each runs in its own vm context with no require/process, string eval disabled and a per-call
+// timeout; promise jobs run inside the call (microtaskMode afterEvaluate), so the timeout covers them
+// too instead of them landing on the host's queue. It only ever sees a JSON copy of the race, so it cannot touch room state. Throws,
+// timeouts and non-boolean results count as "no boost"; after BOT_STRATEGY_MAX_FAILURES the bot
+// stops consulting its strategy for the rest of the race. vm limits runaway code, it is not a
+// security boundary: only load strategy files you trust as much as the server itself.
+const STRATEGY_DECIDE_SCRIPT = new vm.Script('__decide(Object.freeze(JSON.parse(__snapshot))) === true');
+
+function createStrategyContext(def) {
+  const context = vm.createContext(Object.create(null), { codeGeneration: { strings: false, wasm: false }, microtaskMode: 'afterEvaluate' });
+  vm.runInContext('var module = { exports: {} }; var exports = module.exports;', context);
+  def.script.runInContext(context, { timeout: BOT_STRATEGY_TIMEOUT_MS * 20 });
+  vm.runInContext('var __decide = module.exports;', context);
+  if (vm.runInContext('typeof __decide', context) !== 'function') throw new Error('module.exports is not a function');
+  return context;
+}
+
+function loadBotStrategies(dir) {
+  const strategies = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+  } catch {
+    return strategies; // no bots/ directory: built-in profiles only
+  }
+  files.forEach(file => {
+    const name = path.basename(file, '.js');
+    if (BOT_PROFILES[name]) {
+      console.warn(`[bots] skipping ${file}: '${name}' is a built-in profile`);
+      return;
+    }
+    try {
+      const filename = path.join(dir, file);
+      const def = { name, filename, script: new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }) };
+      createStrategyContext(def); // fail fast on load errors
+      strategies.set(name, def);
+      console.log(`[bots] loaded strategy '${name}' from ${file}`);
+    } catch (err) {
+      console.warn(`[bots] skipping ${file}: ${err.message}`);
+    }
+  });
+  return strategies;
+}
+
+// Fresh context per bot per race so strategies can keep state between ticks without sharing it
+function createStrategyInstance(def) {
+  try {
+    return { name: def.name, context: createStrategyContext(def), failures: 0, slowCalls: 0, totalMs: 0, disabled: false };
+  } catch (err) {
+    console.warn(`[bots] strategy '${def.name}' failed to start: ${err.message}`);
+    return { name: def.name, context: null, failures: BOT_STRATEGY_MAX_FAILURES, slowCalls: 0, totalMs: 0, disabled: true };
   }
 }
 
-// Save race results to database
-async function saveRaceResults(room, resultsObj) {
+// Read-only view handed to a strategy each tick (serialized into the sandbox)
+function botStrategySnapshot(room, b, now) {
+  const c = room.constants;
+  const opponents = [];
+  room.players.forEach(p => opponents.push({ lane: p.lane, isBot: false, progress: p.progress, lap: p.lap, currentSpeed: p.currentSpeed || 0, finished: !!p.finished }));
+  room.bots.forEach(o => {
+    if (o !== b) opponents.push({ lane: o.lane, isBot: true, progress: o.progress, lap: o.lap, currentSpeed: o.currentSpeed || 0, finished: !!o.finished });
+  });
+  const cooldownLeft = b.lastBoostEndMs ? Math.max(0, c.BOOST_COOLDOWN_MS - (now - b.lastBoostEndMs)) : 0;
+  return {
+    elapsedMs: now - room.raceStartEpochMs,
+    laps: c.LAPS,
+    random: b.rng(), // seeded; use instead of Math.random to keep races reproducible
+    self: {
+      lane: b.lane,
+      progress: b.progress,
+      lap: b.lap,
+      lapFraction: b.progress % 1,
+      currentSpeed: b.currentSpeed || 0,
+      boosting: !!b.boostDown,
+      boostMsRemaining: b.boostDown ? Math.max(0, c.BOOST_MAX_DURATION_MS - (now - b.boostSinceMs)) : 0,
+      cooldownMsRemaining: cooldownLeft,
+    },
+    opponents,
+    constants: {
+      BOOST_FACTOR: c.BOOST_FACTOR,
+      IDLE_SPEED_FACTOR: c.IDLE_SPEED_FACTOR,
+      ACCELERATION_RATE: c.ACCELERATION_RATE,
+      DECELERATION_RATE: c.DECELERATION_RATE,
+      BOOST_MAX_DURATION_MS: c.BOOST_MAX_DURATION_MS,
+      BOOST_COOLDOWN_MS: c.BOOST_COOLDOWN_MS,
+      MAX_EXECUTION_TIME: c.MAX_EXECUTION_TIME,
+    },
+  };
+}
+
+// Ask the bot's strategy whether to hold boost; any failure means no boost
+function runBotStrategy(room, b, snapshot) {
+  const inst = b.strategy;
+  if (!inst || inst.disabled) return false;
+  const startedAt = performance.now();
+  try {
+    inst.context.__snapshot = JSON.stringify(snapshot);
+    return STRATEGY_DECIDE_SCRIPT.runInContext(inst.context, { timeout: BOT_STRATEGY_TIMEOUT_MS }) === true;
+  } catch (err) {
+    inst.failures++;
+    if (inst.failures >= BOT_STRATEGY_MAX_FAILURES) {
+      inst.disabled = true;
+      console.warn(`[room:${room.id}] bot ${b.username} strategy '${inst.name}' disabled for this race after ${inst.failures} failures (last: ${err.message})`);
+    }
+    return false;
+  } finally {
+    const elapsedMs = performance.now() - startedAt;
+    inst.totalMs += elapsedMs;
+    if (elapsedMs > BOT_STRATEGY_TIMEOUT_MS * BOT_STRATEGY_SLOW_FRACTION && ++inst.slowCalls >= BOT_STRATEGY_MAX_SLOW_CALLS && !inst.disabled) {
+      inst.disabled = true;
+      console.warn(`[room:${room.id}] bot ${b.username} strategy '${inst.name}' disabled for this race after ${inst.slowCalls} slow calls (${Math.round(inst.totalMs)}ms total)`);
+    }
+  }
+}
+
+// Apply a strategy bot's boost request with the human rules (max hold, cooldown); returns true while boosting
+function updateStrategyBotBoost(b, wantsBoost, now, c) {
+  if (b.boostDown && (!wantsBoost || now - b.boostSinceMs > c.BOOST_MAX_DURATION_MS)) {
+    b.boostDown = false;
+    b.lastBoostEndMs = now;
+  } else if (wantsBoost && !b.boostDown && (!b.lastBoostEndMs || now - b.lastBoostEndMs >= c.BOOST_COOLDOWN_MS)) {
+    b.boostDown = true;
+    b.boostSinceMs = now;
+  }
+  return b.boostDown;
+}
+
+// Save race results to database (uids: clientId -> player uid, see playerUids)
+async function saveRaceResults(room, resultsObj, uids = new Map()) {
   if (!dbPool) return;
   const results = resultsObj.results;
   if (!Array.isArray(results) || results.length === 0) return;
@@ -858,12 +2676,46 @@ async function saveRaceResults(room, resultsObj) {
     // Compute human-only ranking and last-human
     const humanResults = results.filter(r => !r.isBot).slice().sort((a,b)=>a.finishSeconds - b.finishSeconds);
     const humanLast = humanResults[humanResults.length - 1];
+    // EXCLUDE_FLAGGED rooms keep flagged humans' rows off the leaderboards (and out of ratings)
+    const isExcluded = (r) => !r.isBot && !!r.flagged && !!room.constants.EXCLUDE_FLAGGED;
+    // player identities (clientId -> players.id) for humans that sent a uid
+    const playerRefs = new Map();
+    for (const r of humanResults) {
+      if (uids.has(r.id)) playerRefs.set(r.id, await upsertPlayerIdentity(client, uids.get(r.id), r.username));
+    }
+    // series row (upserted with the latest standings snapshot from raceEnd)
+    const series = resultsObj.series || null;
+    let seriesDbId = null;
+    if (series) {
+      const seriesRes = await client.query(`
+        INSERT INTO series (series_id, room_id, total_races, races_completed, finished, toll_payer_id, toll_payer_username, finished_at, room_code_hash)
+        VALUES ($1,$2,$3,$4,$5,$6,$7, CASE WHEN $5 THEN CURRENT_TIMESTAMP ELSE NULL END, $8)
+        ON CONFLICT (series_id) DO UPDATE SET
+          races_completed = EXCLUDED.races_completed,
+          finished = EXCLUDED.finished,
+          toll_payer_id = EXCLUDED.toll_payer_id,
+          toll_payer_username = EXCLUDED.toll_payer_username,
+          finished_at = EXCLUDED.finished_at
+        RETURNING id
+      `, [
+        series.id,
+        room.id,
+        series.totalRaces,
+        series.racesCompleted,
+        series.finished,
+        series.tollPayer ? String(series.tollPayer.id) : null,
+        series.tollPayer ? series.tollPayer.username : null,
+        roomCodeHash(room)
+      ]);
+      seriesDbId = seriesRes.rows[0].id;
+    }
     const raceRes = await client.query(`
       INSERT INTO races (
         race_id, room_id, race_duration_seconds, total_participants,
         human_players_count, bot_count, winner_id, winner_username,
-        winner_time_seconds, last_place_time_seconds
-      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+        winner_time_seconds, last_place_time_seconds, race_seed, laps,
+        series_id, series_race_number, winner_player_ref, winner_excluded, room_code_hash
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
       RETURNING id
     `, [
       room.raceId,
@@ -875,7 +2727,14 @@ async function saveRaceResults(room, resultsObj) {
       winner.id,
       winner.username,
       winner.finishSeconds,
-      last.finishSeconds
+      last.finishSeconds,
+      room.raceSeed,
+      resultsObj.laps || 1,
+      seriesDbId,
+      series ? series.racesCompleted : null,
+      playerRefs.get(winner.id) ?? null,
+      isExcluded(winner),
+      roomCodeHash(room)
     ]);
     const raceDbId = raceRes.rows[0].id;
     // participants
@@ -885,12 +2744,14 @@ async function saveRaceResults(room, resultsObj) {
       const humanFinalPos = humanIndex != null && humanIndex >= 0 ? (humanIndex + 1) : null;
       const isLastHuman = !!(humanLast && !r.isBot && humanLast.id === r.id);
       const humanFinishTime = !r.isBot ? r.finishSeconds : null;
-      await client.query(`
+      const participantRes = await client.query(`
         INSERT INTO race_participants (
           race_id, player_id, username, is_bot, lane,
           finish_time_seconds, delta_from_winner_seconds, final_position,
-          is_last_human, human_final_position, human_finish_time_seconds
-        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+          is_last_human, human_final_position, human_finish_time_seconds, bot_profile, player_ref,
+          automation_flagged, automation_flags, leaderboard_excluded
+        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+        RETURNING id
       `, [
         raceDbId,
         r.id,
@@ -902,8 +2763,51 @@ async function saveRaceResults(room, resultsObj) {
         i + 1,
         isLastHuman,
         humanFinalPos,
-        humanFinishTime
+        humanFinishTime,
+        r.isBot ? (r.profile || null) : null,
+        playerRefs.get(r.id) ?? null,
+        !!r.flagged,
+        r.flagReasons && r.flagReasons.length ? r.flagReasons : null,
+        isExcluded(r)
       ]);
+      // checkpoint splits
+      const participantDbId = participantRes.rows[0].id;
+      for (const split of (r.checkpointSplits || [])) {
+        await client.query(`
+          INSERT INTO race_participant_splits (participant_id, lap, checkpoint, split_time_seconds)
+          VALUES ($1,$2,$3,$4)
+        `, [participantDbId, split.lap, split.checkpoint, split.atSeconds]);
+      }
+    }
+    // skill ratings for identified humans (one entry per identity)
+    const rated = humanResults.filter(r => playerRefs.has(r.id) && !isExcluded(r)).map(r => ({ ref: playerRefs.get(r.id), finishSeconds: r.finishSeconds }));
+    await updateRatings(client, raceDbId, rated.filter((r, i) => rated.findIndex(o => o.ref === r.ref) === i));
+    // toll ledger: the last human owes one toll to the first human (the creditor) when at least two humans raced
+    if (humanLast && humanCount >= 2) {
+      const creditor = humanResults[0];
+      await client.query(`
+        INSERT INTO debts (room_id, race_id, username, amount, reason, player_ref, creditor_username, creditor_ref, room_code_hash)
+        VALUES ($1,$2,$3,1,'lastHuman',$4,$5,$6,$7)
+      `, [room.id, raceDbId, humanLast.username, playerRefs.get(humanLast.id) ?? null, creditor.username, playerRefs.get(creditor.id) ?? null, roomCodeHash(room)]);
+    }
+    // series standings: only this race's humans changed; identified rows are keyed by player_ref
+    // (so a reconnect under a new clientId updates the same row), anonymous ones by clientId
+    if (seriesDbId) {
+      for (const row of series.standings.filter(s => humanResults.some(h => h.id === s.id))) {
+        const ref = playerRefs.get(row.id) ?? null;
+        await client.query(`
+          INSERT INTO series_standings (series_id, player_id, username, points, wins, last_places, races, total_seconds, player_ref)
+          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+          ON CONFLICT (series_id, player_id) DO UPDATE SET
+            username = EXCLUDED.username,
+            points = EXCLUDED.points,
+            wins = EXCLUDED.wins,
+            last_places = EXCLUDED.last_places,
+            races = EXCLUDED.races,
+            total_seconds = EXCLUDED.total_seconds,
+            updated_at = CURRENT_TIMESTAMP
+        `, [seriesDbId, ref != null ? `ref:${ref}` : String(row.id), row.username, row.points, row.wins, row.lastPlaces, row.races, row.totalSeconds, ref]);
+      }
     }
     await client.query('COMMIT');
     console.log(`[db] race saved raceId=${room.raceId} rows=${results.length}`);
@@ -915,7 +2819,35 @@ async function saveRaceResults(room, resultsObj) {
   }
 }
 
-const PORT = process.env.PORT || 8080;
-server.listen(PORT, () => {
-  console.log(`Multiplayer server listening on :${PORT}`);
-});
+// Save a completed race replay (JSONB) to database
+async function saveRaceReplay(replay, codeHash) {
+  if (!dbPool) return;
+  await dbPool.query(`
+    INSERT INTO race_replays (race_id, room_id, replay, room_code_hash)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (race_id) DO NOTHING
+  `, [replay.raceId, replay.roomId, JSON.stringify(replay), codeHash]);
+  console.log(`[db] replay saved raceId=${replay.raceId} snapshots=${replay.snapshots.length}`);
+}
+
+// Listen only when run directly; tests require() the module for its pure functions (see test/)
+if (require.main === module) {
+  const PORT = process.env.PORT || 8080;
+  setInterval(() => rooms.forEach(syncRoomClocks), CLOCK_SYNC_INTERVAL_MS);
+  server.listen(PORT, () => {
+    console.log(`Multiplayer server listening on :${PORT}`);
+  });
+}
+
+module.exports = {
+  createPrng,
+  deriveSeed,
+  createRoom,
+  startRace,
+  stopTick,
+  stepRace,
+  compactTickFrames,
+  parseClientMessage,
+  analyzeInput,
+  createInputStats,
+};
@@ -0,0 +1,42 @@
+// analyzeInput: flags metronomic presses, instant reactions and impossible holds (default thresholds)
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeInput, createInputStats } = require('../server');
+
+function stats(fields) {
+  return { ...createInputStats(), ...fields };
+}
+
+// Human-looking samples: uneven press intervals, reactions well above 100 ms, holds well above 20 ms
+const HUMAN = {
+  pressIntervals: [180, 240, 150, 310, 205, 270, 190, 230, 160, 290],
+  reactions: [320, 280, 410, 350],
+  holds: [90, 120, 75, 140, 100, 85, 130, 110],
+};
+
+test('human input is not flagged', () => {
+  assert.deepStrictEqual(analyzeInput(stats(HUMAN)), []);
+});
+
+test('too few samples are not judged', () => {
+  assert.deepStrictEqual(analyzeInput(stats({ pressIntervals: [200, 200, 200], reactions: [10, 10], holds: [1, 1] })), []);
+  assert.deepStrictEqual(analyzeInput(null), []);
+});
+
+test('metronomic press intervals are flagged', () => {
+  assert.deepStrictEqual(analyzeInput(stats({ ...HUMAN, pressIntervals: Array(10).fill(200) })), ['regularIntervals']);
+});
+
+test('reactions faster than a human are flagged', () => {
+  assert.deepStrictEqual(analyzeInput(stats({ ...HUMAN, reactions: [30, 45, 25, 500] })), ['instantReactions']);
+});
+
+test('impossibly short holds are flagged', () => {
+  assert.deepStrictEqual(analyzeInput(stats({ ...HUMAN, holds: [5, 3, 8, 2, 90, 6, 4, 7] })), ['impossibleHolds']);
+  assert.deepStrictEqual(analyzeInput(stats({ ...HUMAN, overlappingPresses: 3 })), ['impossibleHolds']);
+});
+
+test('every matching reason is reported', () => {
+  const reasons = analyzeInput(stats({ pressIntervals: Array(10).fill(50), reactions: [10, 12, 11], holds: Array(8).fill(1) }));
+  assert.deepStrictEqual(reasons, ['regularIntervals', 'instantReactions', 'impossibleHolds']);
+});
@@ -0,0 +1,97 @@
+// Compact tick codec (binaryTicks): server frames decoded by both clients must match the JSON tick
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { compactTickFrames } = require('../server');
+
+// The clients are a browser script and a CLI, so load just their decodeCompactTick function
+function loadDecoder(file) {
+  const src = fs.readFileSync(file, 'utf8');
+  const match = src.match(/^function decodeCompactTick\(view, state\) \{[\s\S]*?^\}$/m);
+  assert.ok(match, `decodeCompactTick not found in ${file}`);
+  return vm.runInNewContext(`(${match[0]})`);
+}
+
+const decoders = {
+  'thin-client.js': loadDecoder(path.join(__dirname, '..', 'thin-client.js')),
+  'mp-game.js': loadDecoder(path.join(__dirname, '..', '..', 'mp-game.js')),
+};
+
+function tick(tServerMs, players, bots, boostKey = 'K', nextBoostKeyAt = 5000) {
+  return { type: 'tick', tServerMs, boostKey, nextBoostKeyAt, players, bots };
+}
+
+const TICKS = [
+  tick(1000, [{ id: 7, lane: 0, progress: 0.1, lap: 1, finished: false, currentSpeed: 0.05 }], [{ lane: 1, progress: 0.2, lap: 1, finished: false, currentSpeed: 0.04 }]),
+  tick(1050, [{ id: 7, lane: 0, progress: 0.15, lap: 1, finished: false, currentSpeed: 0.05 }], [{ lane: 1, progress: 0.2, lap: 1, finished: false, currentSpeed: 0.04 }]),
+  tick(1100, [{ id: 7, lane: 0, progress: 1.02, lap: 2, finished: false, currentSpeed: 0.06 }], [{ lane: 1, progress: 0.25, lap: 1, finished: false, currentSpeed: 0.03 }], 'J', 9000),
+  tick(1150, [{ id: 7, lane: 0, progress: 2, lap: 2, finished: true, currentSpeed: 0.01 }], [{ lane: 1, progress: 0.3, lap: 1, finished: false, currentSpeed: 0.03 }], 'J', null),
+  // roster change: a second player takes lane 1, the bot moves to lane 2
+  tick(1200, [{ id: 7, lane: 0, progress: 2, lap: 2, finished: true, currentSpeed: 0 }, { id: 9, lane: 1, progress: 0.01, lap: 1, finished: false, currentSpeed: 0.02 }], [{ lane: 2, progress: 0.31, lap: 1, finished: false, currentSpeed: 0.03 }], 'J', null),
+];
+
+function assertTickMatches(decoded, sent) {
+  assert.strictEqual(decoded.tServerMs, sent.tServerMs);
+  assert.strictEqual(decoded.boostKey, sent.boostKey);
+  assert.strictEqual(decoded.nextBoostKeyAt, sent.nextBoostKeyAt);
+  const byLane = list => list.slice().sort((a, b) => a.lane - b.lane);
+  const compare = (got, want, isBot) => {
+    assert.strictEqual(got.length, want.length);
+    byLane(got).forEach((g, i) => {
+      const w = byLane(want)[i];
+      assert.strictEqual(g.lane, w.lane);
+      if (!isBot) assert.strictEqual(g.id, w.id);
+      assert.strictEqual(g.lap, w.lap);
+      assert.strictEqual(g.finished, w.finished);
+      assert.ok(Math.abs(g.progress - w.progress) <= 1e-6, `progress ${g.progress} vs ${w.progress}`);
+      assert.ok(Math.abs(g.currentSpeed - w.currentSpeed) <= 1e-4, `speed ${g.currentSpeed} vs ${w.currentSpeed}`);
+    });
+  };
+  compare(decoded.players, sent.players, false);
+  compare(decoded.bots, sent.bots, true);
+}
+
+function toView(frame) {
+  return new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+}
+
+Object.keys(decoders).forEach(name => {
+  const decodeCompactTick = decoders[name];
+
+  test(`${name} decodes keyframes and deltas back to the JSON tick`, () => {
+    const room = {};
+    const ws = {};
+    const state = { entries: new Map(), boostKey: null, nextBoostKeyAt: null };
+    TICKS.forEach(sent => {
+      const frame = compactTickFrames(room, sent).frameFor(ws);
+      assertTickMatches(decodeCompactTick(toView(frame), state), sent);
+    });
+  });
+
+  test(`${name} catches up from a keyframe when joining mid-stream`, () => {
+    const room = {};
+    const early = {};
+    const late = {};
+    const lateState = { entries: new Map(), boostKey: null, nextBoostKeyAt: null };
+    TICKS.forEach((sent, i) => {
+      const frames = compactTickFrames(room, sent);
+      frames.frameFor(early);
+      if (i < 2) return;
+      const frame = frames.frameFor(late);
+      if (i === 2) assert.strictEqual(frame[0], 1, 'first frame for a new socket is a keyframe');
+      assertTickMatches(decodeCompactTick(toView(frame), lateState), sent);
+    });
+  });
+});
+
+test('unchanged entries are left out of delta frames', () => {
+  const room = {};
+  const ws = {};
+  const first = compactTickFrames(room, TICKS[0]).frameFor(ws);
+  const repeat = compactTickFrames(room, { ...TICKS[0], tServerMs: 1001 }).frameFor(ws);
+  assert.strictEqual(repeat[0], 2);
+  assert.strictEqual(repeat[repeat.length - 1], 0, 'entry count is 0');
+  assert.ok(repeat.length < first.length);
+});
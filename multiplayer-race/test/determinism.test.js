@@ -0,0 +1,47 @@
+// Seeded races (see README "Deterministic Races"): same seed -> same race, different seed -> different race
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPrng, deriveSeed, createRoom, startRace, stopTick, stepRace } = require('../server');
+
+// Bots-only race run step by step without the tick timer; returns each lane's outcome
+function runRace(roomId, seed) {
+  const room = createRoom(roomId);
+  room.raceSeed = seed;
+  startRace(room);
+  stopTick(room);
+  for (let steps = 0; room.phase === 'race'; steps++) {
+    assert.ok(steps < 100000, 'race did not finish');
+    stepRace(room);
+  }
+  return room.bots.map(b => ({ lane: b.lane, profile: b.profile, finishSeconds: b.finishSeconds, lapSplits: b.lapSplits, checkpointSplits: b.checkpointSplits }));
+}
+
+test('createPrng repeats its sequence for a seed', () => {
+  const a = createPrng(42);
+  const b = createPrng(42);
+  const c = createPrng(43);
+  const seqA = Array.from({ length: 5 }, () => a());
+  assert.deepStrictEqual(Array.from({ length: 5 }, () => b()), seqA);
+  assert.notDeepStrictEqual(Array.from({ length: 5 }, () => c()), seqA);
+  seqA.forEach(v => assert.ok(v >= 0 && v < 1));
+});
+
+test('deriveSeed is stable per race seed and key', () => {
+  assert.strictEqual(deriveSeed(1234, 'lane:3'), deriveSeed(1234, 'lane:3'));
+  assert.notStrictEqual(deriveSeed(1234, 'lane:3'), deriveSeed(1234, 'lane:4'));
+  assert.notStrictEqual(deriveSeed(1234, 'lane:3'), deriveSeed(1235, 'lane:3'));
+});
+
+test('the same race seed reproduces the race', () => {
+  const first = runRace('determinism-a', 987654321);
+  const second = runRace('determinism-b', 987654321);
+  assert.ok(first.length > 0);
+  first.forEach(r => assert.ok(Number.isFinite(r.finishSeconds)));
+  assert.deepStrictEqual(second, first);
+});
+
+test('a different race seed changes the race', () => {
+  const first = runRace('determinism-c', 987654321);
+  const other = runRace('determinism-d', 123456789);
+  assert.notDeepStrictEqual(other.map(r => r.finishSeconds), first.map(r => r.finishSeconds));
+});
@@ -0,0 +1,50 @@
+// parseClientMessage: every malformed frame gets a specific error code instead of being acted on
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseClientMessage } = require('../server');
+
+function parse(value) {
+  return parseClientMessage(Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)));
+}
+
+test('accepts a valid message', () => {
+  const { msg, error } = parse({ type: 'pressBoost', down: true, key: 'K', atClientMs: 1234.5 });
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(msg, { type: 'pressBoost', down: true, key: 'K', atClientMs: 1234.5 });
+});
+
+test('rejects frames that are not a typed JSON object', () => {
+  assert.strictEqual(parse('{not json').error.code, 'badJson');
+  assert.strictEqual(parse([1, 2]).error.code, 'badMessage');
+  assert.strictEqual(parse({ down: true }).error.code, 'badMessage');
+});
+
+test('rejects oversized frames before parsing', () => {
+  const { error } = parse({ type: 'chat', text: 'x'.repeat(10000) });
+  assert.strictEqual(error.code, 'payloadTooLarge');
+  assert.ok(error.details.bytes > error.details.maxBytes);
+});
+
+test('rejects unknown message types', () => {
+  const { error } = parse({ type: 'teleport' });
+  assert.strictEqual(error.code, 'unknownType');
+  assert.strictEqual(error.messageType, 'teleport');
+  assert.ok(error.details.allowed.includes('pressBoost'));
+});
+
+test('reports each invalid field', () => {
+  const { error } = parse({ type: 'pressBoost', key: 'TOOLONGKEY', atClientMs: 'now' });
+  assert.strictEqual(error.code, 'invalidFields');
+  assert.strictEqual(error.messageType, 'pressBoost');
+  assert.deepStrictEqual(error.details.errors, [
+    { field: 'down', reason: 'missing', expected: 'boolean' },
+    { field: 'key', reason: 'tooLong', maxLength: 8 },
+    { field: 'atClientMs', reason: 'wrongType', expected: 'number' },
+  ]);
+});
+
+test('checks array fields item by item', () => {
+  assert.strictEqual(parse({ type: 'hello', features: ['chat', 3] }).error.details.errors[0].reason, 'wrongItemType');
+  assert.strictEqual(parse({ type: 'hello', features: Array(40).fill('chat') }).error.details.errors[0].reason, 'tooMany');
+  assert.strictEqual(parse({ type: 'kickPlayer', playerId: 1.5 }).error.details.errors[0].reason, 'wrongType');
+});
@@ -17,9 +17,35 @@
 // Debug mode:
 //    Add `debug=true` to pause after each server message
 //    node thin-client.js ws://localhost:8080 roomId=dev username=Alice debug=true pretty-output=true
+//
+// Spectate (no lane; only logs messages):
+//    node thin-client.js ws://localhost:8080 roomId=dev username=Watcher spectate=true
+//
+// Room rules (sent as configureRoom when this client is host):
+//    node thin-client.js ws://localhost:8080 roomId=dev username=Alice rules=BOOST_FACTOR:3,MAX_EXECUTION_TIME:20
+//    node thin-client.js ws://localhost:8080 roomId=dev username=Alice rules=EXCLUDE_FLAGGED:true
+//
+// Private room (created private if new; generated code printed in welcome, or joinCode= sets a password):
+//    node thin-client.js ws://localhost:8080 roomId=secret username=Alice private=true
+//    node thin-client.js ws://localhost:8080 roomId=secret username=Bob joinCode=<code>
+//
+// Persistent identity (leaderboards group by it across renames; any 8-64 chars of [A-Za-z0-9_-]):
+//    node thin-client.js ws://localhost:8080 roomId=dev username=Alice playerUid=alice-test-uid
+//
+// Chat (sent once after welcome):
+//    node thin-client.js ws://localhost:8080 roomId=dev username=Alice "say=loser buys coffee"
+//
+// Compact binary delta ticks (binaryTicks; logged decoded, with the frame size):
+//    node thin-client.js ws://localhost:8080 roomId=dev username=Alice ticks=binary
+//
+// Resume a dropped session (token printed in the welcome line):
+//    node thin-client.js ws://localhost:8080 roomId=dev username=Alice resumeToken=<token>
 
 const WebSocket = require('ws');
 
+const PROTOCOL_VERSION = 2; // see README "Protocol Versioning"
+const CLIENT_FEATURES = ['spectate', 'resume', 'roomRules', 'laps', 'checkpointSplits', 'botProfiles', 'series', 'replays', 'privateRooms', 'moderation', 'chat', 'emotes', 'playerIdentity', 'clockSync'];
+
 const url = process.argv[2] || 'ws://localhost:8080';
 const args = Object.fromEntries(process.argv.slice(3).map(kv => {
   const [k, v] = kv.split('=');
@@ -29,16 +55,82 @@ const roomId = args.roomId || 'default';
 const username = args.username || `Tester_${Math.floor(Math.random()*1000)}`;
 const debugPause = String(args.debug || 'false').toLowerCase() === 'true';
 const prettyOutput = String(args['pretty-output'] || 'false').toLowerCase() === 'true';
+const resumeToken = args.resumeToken || null;
+const spectate = String(args.spectate || 'false').toLowerCase() === 'true';
+const privateRoom = String(args.private || 'false').toLowerCase() === 'true';
+const joinCode = args.joinCode || null;
+const playerUid = args.playerUid || null;
+const say = args.say || null;
+const binaryTicks = String(args.ticks || 'json').toLowerCase() === 'binary';
+const rules = args.rules ? Object.fromEntries(String(args.rules).split(',').map(kv => {
+  const [k, v] = kv.split(':');
+  return [k, v === 'true' || v === 'false' ? v === 'true' : Number(v)];
+})) : null;
+// Binary tick frame -> JSON tick shape (layout: server.js "Compact Tick Encoding"; same as mp-game.js)
+const tickDecoder = { entries: new Map(), boostKey: null, nextBoostKeyAt: null };
+function decodeCompactTick(view, state) {
+  let o = 0;
+  const kind = view.getUint8(o); o += 1;
+  const flags = view.getUint8(o); o += 1;
+  const msg = { type: 'tick', tServerMs: view.getFloat64(o, true) }; o += 8;
+  if (flags & 4) {
+    state.boostKey = String.fromCharCode(view.getUint8(o)); o += 1;
+    const next = view.getFloat64(o, true); o += 8;
+    state.nextBoostKeyAt = Number.isNaN(next) ? null : next;
+  }
+  if (flags & 1) {
+    msg.boostKey = state.boostKey;
+    msg.nextBoostKeyAt = state.nextBoostKeyAt;
+  }
+  if (flags & 2) {
+    if (kind === 1) state.entries = new Map();
+    const count = view.getUint8(o); o += 1;
+    for (let i = 0; i < count; i++) {
+      const lane = view.getUint8(o);
+      const mask = view.getUint8(o + 1); o += 2;
+      let entry = state.entries.get(lane);
+      if (!entry) { entry = { lane, id: null, bot: false, progress: 0, currentSpeed: 0, lap: 1, finished: false }; state.entries.set(lane, entry); }
+      entry.bot = !!(mask & 32);
+      if (mask & 64) { entry.id = view.getUint32(o, true); o += 4; }
+      if (mask & 1) { entry.progress = view.getUint32(o, true) / 1e6; o += 4; }
+      if (mask & 2) { entry.currentSpeed = view.getUint16(o, true) / 1e4; o += 2; }
+      if (mask & 4) { entry.lap = view.getUint8(o); o += 1; }
+      if (mask & 8) entry.finished = !!(mask & 16);
+    }
+    const all = Array.from(state.entries.values());
+    msg.players = all.filter(e => !e.bot).map(e => ({ id: e.id, lane: e.lane, progress: e.progress, lap: e.lap, finished: e.finished, currentSpeed: e.currentSpeed }));
+    msg.bots = all.filter(e => e.bot).map(e => ({ lane: e.lane, progress: e.progress, lap: e.lap, finished: e.finished, currentSpeed: e.currentSpeed }));
+  }
+  return msg;
+}
+
 function formatPretty(msg) {
   switch (msg.type) {
     case 'welcome':
-      return `welcome: clientId=${msg.clientId} room=${msg.roomId} hostId=${msg.hostId}`;
+      return `welcome: clientId=${msg.clientId} room=${msg.roomId} hostId=${msg.hostId} protocol=v${msg.protocolVersion}${msg.resumed ? ' (resumed)' : ''}${msg.private ? ` joinCode=${msg.joinCode}` : ''} resumeToken=${msg.resumeToken}`;
+    case 'joinRejected':
+      return `joinRejected: room=${msg.roomId} reason=${msg.reason}${msg.message ? ` (${msg.message})` : ''}`;
+    case 'kicked':
+      return `kicked: room=${msg.roomId}${msg.banned ? ' (banned)' : ''}${msg.reason ? ` reason=${msg.reason}` : ''}`;
+    case 'chat':
+      return `chat: ${msg.spectator ? '(spectator) ' : ''}${msg.username}: ${msg.text}`;
+    case 'emote':
+      return `emote: ${msg.username}@L${msg.lane} ${msg.symbol} (${msg.emote})`;
+    case 'chatRejected':
+      return `chatRejected: ${msg.kind} reason=${msg.reason}${msg.retryAfterMs ? ` retryAfterMs=${msg.retryAfterMs}` : ''}`;
+    case 'latency':
+      return `latency: ${[...(msg.players || []), ...(msg.spectators || [])].map(e => `${e.id}:${e.rttMs == null ? '?' : `${e.rttMs}ms`}`).join(', ')}`;
+    case 'error':
+      return `error: ${msg.code}${msg.messageType ? ` type=${msg.messageType}` : ''} details=${JSON.stringify(msg.details || {})}`;
+    case 'hostAction':
+      return `hostAction: ${msg.action} playerId=${msg.playerId} ${msg.accepted ? 'accepted' : `rejected(${msg.reason})`}`;
     case 'roomState': {
       const phase = msg.phase;
       const hostId = msg.hostId;
-      const players = (msg.players || []).map(p=>`${p.id}:${p.username}${p.ready?'[R]':''}@L${p.lane}`).join(', ');
+      const players = (msg.players || []).map(p=>`${p.id}:${p.username}${p.ready?'[R]':''}${p.flagged?`[flagged:${p.flagReasons.join('+')}]`:''}@L${p.lane}`).join(', ');
       const bots = (msg.bots || []).length;
-      return `roomState: phase=${phase} hostId=${hostId} players=[${players}] bots=${bots}`;
+      const spectators = (msg.spectators || []).map(s=>s.username).join(', ');
+      return `roomState: phase=${phase} hostId=${hostId} players=[${players}] spectators=[${spectators}] bots=${bots}`;
     }
     case 'countdown': {
       const secLeft = Math.max(0, Math.round((msg.countdownEndsAt - Date.now())/1000));
@@ -50,9 +142,16 @@ function formatPretty(msg) {
       return `raceStart: raceId=${msg.raceId} start=${new Date(msg.raceStartEpochMs).toLocaleTimeString()} players=[${players}] bots=[${bots}]`;
     }
     case 'tick':
-      return `tick: tServer=${new Date(msg.tServerMs).toLocaleTimeString()}`;
+      return `tick: tServer=${new Date(msg.tServerMs).toLocaleTimeString()}${msg.boostKey ? ` key=${msg.boostKey === ' ' ? 'Space' : msg.boostKey}` : ''}`;
     case 'boost':
-      return `boost: playerId=${msg.playerId} ${msg.down?'DOWN':'UP'} at=${new Date(msg.atClientMs||Date.now()).toLocaleTimeString()}`;
+      return `boost: playerId=${msg.playerId} ${msg.down?'DOWN':'UP'} at=${new Date(msg.atClientMs||Date.now()).toLocaleTimeString()}${msg.accepted === false ? ` rejected(${msg.reason || 'unknown'})` : ''}`;
+    case 'seriesEnd': {
+      const s = msg.series || {};
+      const standings = (s.standings || []).map(r=>`${r.username}:${r.points}`).join(', ');
+      return `seriesEnd: races=${s.racesCompleted}/${s.totalRaces} standings=[${standings}] tollPayer=${s.tollPayer ? s.tollPayer.username : 'none'}`;
+    }
+    case 'roomConfig':
+      return `roomConfig: ${msg.accepted ? 'accepted' : `rejected(${msg.reason})`}${msg.errors ? ` errors=${JSON.stringify(msg.errors)}` : ''}`;
     case 'raceEnd':
       return `raceEnd: results=${JSON.stringify(msg.results)}`;
     default:
@@ -67,32 +166,40 @@ if (debugPause) {
 }
 
 const ws = new WebSocket(url);
+let boostKey = null; // current server boost key (from countdown/raceStart/tick)
 
 function send(obj) { ws.readyState === 1 && ws.send(JSON.stringify(obj)); }
 
 ws.on('open', () => {
   console.log('Connected, sending hello');
-  send({ type: 'hello', roomId, username, version: 1 });
+  send({ type: 'hello', roomId, username, version: PROTOCOL_VERSION, ...(binaryTicks ? { features: [...CLIENT_FEATURES, 'binaryTicks'] } : {}), ...(resumeToken ? { resumeToken } : {}), ...(spectate ? { spectate: true } : {}), ...(privateRoom ? { private: true } : {}), ...(joinCode ? { joinCode } : {}), ...(playerUid ? { playerUid } : {}) });
 });
 
 // Message handling with optional pause between prints
-ws.on('message', async (data) => {
+ws.on('message', async (data, isBinary) => {
   try {
-    const msg = JSON.parse(data.toString());
-    const line = prettyOutput ? ('<- ' + formatPretty(msg)) : ('<- ' + msg.type + ' ' + JSON.stringify(msg));
+    const msg = isBinary ? decodeCompactTick(new DataView(data.buffer, data.byteOffset, data.byteLength), tickDecoder) : JSON.parse(data.toString());
+    const tag = isBinary ? `[binary ${data.byteLength}B]` : '';
+    const line = prettyOutput ? ('<- ' + tag + formatPretty(msg)) : ('<- ' + msg.type + tag + ' ' + JSON.stringify(msg));
     console.log(line);
+    if (msg.boostKey) boostKey = msg.boostKey;
+    if (msg.type === 'ping') send({ type: 'pong', serverMs: msg.serverMs, clientMs: Date.now() });
     if (debugPause && rl) {
       await new Promise(resolve => rl.question('(debug) Press Enter to continue...', () => resolve()));
     }
-    if (msg.type === 'welcome') {
+    if (msg.type === 'welcome' && say) send({ type: 'chat', text: say });
+    if (msg.type === 'welcome' && !msg.spectator) {
+      // host applies room rules before readying up
+      if (rules && msg.hostId === msg.clientId) send({ type: 'configureRoom', rules });
       // set ready
       setTimeout(()=>send({ type: 'setReady', ready: true }), 500);
       // if host, try starting after 2s
       setTimeout(()=>send({ type: 'startGame' }), 2000);
       // simulate pressing boost during race
       setInterval(()=>{
-        send({ type: 'pressBoost', down: true, atClientMs: Date.now() });
-        setTimeout(()=>send({ type: 'pressBoost', down: false, atClientMs: Date.now() }), 200);
+        const key = boostKey;
+        send({ type: 'pressBoost', down: true, key, atClientMs: Date.now() });
+        setTimeout(()=>send({ type: 'pressBoost', down: false, key, atClientMs: Date.now() }), 200);
       }, 1500);
     }
   } catch (e) {
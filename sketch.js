@@ -201,6 +201,7 @@ function mpConnect() {
         multiplayer.statusDiv.textContent = 'Connecting...';
     }
     multiplayer.ws.onopen = () => {
+        // Protocol v1: the server shims ticks to single-race progress (0..1) for this adapter
         multiplayer.ws.send(JSON.stringify({ type: 'hello', roomId, username, version: 1 }));
         multiplayer.connected = true;
         multiplayer.username = username;